@@ -0,0 +1,230 @@
+'use strict';
+
+const PolicyWalker = require('./policy-walker');
+
+const internals = {};
+
+// Aliases of the built-in sources
+internals.aliases = {
+    param: 'params',
+    header: 'headers',
+    cookie: 'state'
+};
+
+// Sources whose values are single strings, which can not match two different values
+internals.scalarSources = ['request', 'params', 'connection', 'client'];
+
+// Combinatory algorithms which never yield UNDETERMINED
+internals.decisive = {
+    'deny-unless-permit': 'deny',
+    'permit-unless-deny': 'permit'
+};
+
+/**
+ * Canonical key of a target key, so that aliases are compared as the same key (e.g. 'group' and 'credentials:group')
+ **/
+internals.normalizeKey = (key) => {
+
+    const source = PolicyWalker.source(key);
+    const name = key.indexOf(':') === -1 ? key : key.slice(key.indexOf(':') + 1);
+    const normalized = internals.aliases[source] || source;
+
+    return normalized + ':' + (normalized === 'headers' ? name.toLowerCase() : name);
+};
+
+internals.serializeValue = (value) => {
+
+    if (value instanceof RegExp) {
+        return { regex: value.toString() };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(internals.serializeValue);
+    }
+
+    return value;
+};
+
+/**
+ * Elements of a target, with canonical keys. A missing target has a single element without keys.
+ **/
+internals.elements = (target) => {
+
+    return [].concat(target || {}).map((element) => {
+
+        const normalized = {};
+        Object.keys(element).forEach((key) => {
+
+            normalized[internals.normalizeKey(key)] = element[key];
+        });
+
+        return normalized;
+    });
+};
+
+internals.serializeTarget = (target) => {
+
+    const elements = internals.elements(target).map((element) => JSON.stringify(Object.keys(element).sort().map((key) => [key, internals.serializeValue(element[key])])));
+    return JSON.stringify(elements.sort());
+};
+
+internals.isLiteral = (value) => ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+
+/**
+ * Two expected values of the same key which can never be matched together
+ **/
+internals.contradicts = (key, a, b) => {
+
+    if (typeof a === 'boolean' && typeof b === 'boolean') {
+        return a !== b;
+    }
+
+    if (internals.scalarSources.indexOf(key.split(':')[0]) === -1) {
+        return false;
+    }
+
+    if (internals.isLiteral(a) && internals.isLiteral(b)) {
+        return a !== b;
+    }
+
+    if (internals.isLiteral(a) && b instanceof RegExp) {
+        return !b.test(a);
+    }
+
+    if (a instanceof RegExp && internals.isLiteral(b)) {
+        return !a.test(b);
+    }
+
+    return false;
+};
+
+internals.pairs = (element) => Object.keys(element).map((key) => [internals.normalizeKey(key), element[key]]);
+
+/**
+ * The first key of a target element which contradicts the keys required by the parents' targets,
+ * or another key of the element (aliases of the same key, e.g. 'param:id' and 'params:id'). Null when there is none.
+ **/
+internals.contradiction = (element, required) => {
+
+    const pairs = internals.pairs(element);
+    const constraints = required.concat(pairs);
+
+    const found = pairs.find(([key, value]) => constraints.some(([other, otherValue]) => other === key && internals.contradicts(key, value, otherValue)));
+    return found ? found[0] : null;
+};
+
+/**
+ * Keys which every request matching the target must have: the ones of targets with a single element
+ **/
+internals.required = (target, required) => {
+
+    const elements = [].concat(target || []);
+    if (elements.length !== 1) {
+        return required;
+    }
+
+    return required.concat(internals.pairs(elements[0]));
+};
+
+/**
+ * Rules without target, and policies without target which never yield UNDETERMINED, always apply
+ **/
+internals.unconditional = (item) => !item.target && (item.effect || internals.decisive[item.apply]);
+
+internals.analyzeItem = (item, path, required, findings) => {
+
+    if (!item || typeof item !== 'object' || item.ref) {
+        return;
+    }
+
+    const label = path || '(root)';
+
+    // An OR target never matches when all its elements have contradictions
+    if (item.target) {
+        const contradictions = [].concat(item.target).map((element) => internals.contradiction(element, required));
+
+        if (contradictions.every((key) => key)) {
+            findings.push({
+                type: 'contradictory-target',
+                path,
+                message: `Target of ${label} can never match: contradictory values for ${Array.from(new Set(contradictions)).join(', ')}`
+            });
+        }
+    }
+
+    const childKey = item.policies ? 'policies' : (item.rules ? 'rules' : null);
+    if (!childKey) {
+        return;
+    }
+
+    const children = item[childKey];
+    const apply = item.apply || 'permit-overrides';
+
+    if (!children.length) {
+        findings.push({
+            type: 'empty',
+            path,
+            message: internals.decisive[apply] ?
+                `Empty ${childKey} in ${label}: it always yields ${internals.decisive[apply]}` :
+                `Empty ${childKey} in ${label}: it always yields undetermined`
+        });
+    }
+
+    const childPath = (index) => (path ? path + '.' : '') + childKey + '[' + index + ']';
+
+    // First applicable: nothing after a child which always applies is evaluated
+    const unconditional = children.findIndex(internals.unconditional);
+    if (apply === 'first-applicable' && unconditional !== -1) {
+        for (let i = unconditional + 1; i < children.length; ++i) {
+            findings.push({
+                type: 'unreachable',
+                path: childPath(i),
+                message: `${childPath(i)} is unreachable: ${childPath(unconditional)} always applies under first-applicable`
+            });
+        }
+    }
+
+    // Rules with the same target and opposite effects
+    if (childKey === 'rules') {
+        const permits = new Map();
+        children.forEach((rule, index) => {
+
+            if (rule.effect === 'permit') {
+                permits.set(internals.serializeTarget(rule.target), index);
+            }
+        });
+
+        children.forEach((rule, index) => {
+
+            const serialized = internals.serializeTarget(rule.target);
+            if (rule.effect === 'deny' && permits.has(serialized)) {
+                findings.push({
+                    type: 'conflict',
+                    path: childPath(index),
+                    message: `${childPath(index)} denies with the same target as ${childPath(permits.get(serialized))}, which permits`
+                });
+            }
+        });
+    }
+
+    const childRequired = internals.required(item.target, required);
+    children.forEach((child, index) => internals.analyzeItem(child, childPath(index), childRequired, findings));
+};
+
+/**
+ * Static analysis of a policy set, policy or rule. Returns a list of findings, each with:
+ *
+ *   - type - 'unreachable', 'conflict', 'contradictory-target' or 'empty'
+ *   - path - Location of the item in the policy (e.g. 'policies[0].rules[1]'), like in the evaluation trace
+ *   - message - Description of the problem
+ *
+ * References to named policies are not followed.
+ **/
+exports.analyze = (policy) => {
+
+    const findings = [];
+
+    internals.analyzeItem(policy, '', [], findings);
+
+    return findings;
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const Fs = require('fs');
+const Hoek = require('hoek');
+const Evaluator = require('./evaluator');
+
+const internals = {};
+
+exports.EVENT = 'rbac:decision';
+
+/**
+ * Built-in sinks. Each factory receives the sink configuration and the server, and returns a function (record, request) {}
+ **/
+internals.sinks = {};
+
+internals.sinks.log = (config) => {
+
+    const tags = config.tags || ['rbac', 'audit'];
+
+    return (record, request) => request.log(tags, record);
+};
+
+/**
+ * Appends one JSON document per line. The file is opened on first write and closed when the server stops.
+ * The server stop waits until every record is written.
+ **/
+internals.sinks.file = (config, server) => {
+
+    let stream = null;
+
+    server.ext('onPostStop', () => {
+
+        if (!stream) {
+            return;
+        }
+
+        const ending = stream;
+        stream = null;
+
+        // Write errors are already logged, and a failed stream is never finished
+        if (ending.destroyed) {
+            return;
+        }
+
+        return new Promise((resolve) => {
+
+            ending.once('error', resolve);
+            ending.end(resolve);
+        });
+    });
+
+    return (record) => {
+
+        if (!stream) {
+            stream = Fs.createWriteStream(config.path, { flags: 'a' });
+            stream.on('error', (err) => server.log(['rbac', 'audit', 'error'], err));
+        }
+
+        stream.write(JSON.stringify(record) + '\n');
+    };
+};
+
+/**
+ * Identifier of the credentials in the record. Errors of identifier functions are logged, and give null.
+ **/
+internals.identify = (identifier, request) => {
+
+    const credentials = request.auth.credentials;
+    if (!credentials) {
+        return null;
+    }
+
+    let id;
+    try {
+        id = identifier instanceof Function ? identifier(credentials) : Hoek.reach(credentials, identifier);
+    }
+    catch (err) {
+        request.log(['rbac', 'audit', 'error'], err);
+        return null;
+    }
+
+    return id === undefined ? null : id;
+};
+
+/**
+ * Create the audit function, which builds the decision record, emits it as a server event and hands it to every sink.
+ *
+ * The decision is an rbac-core result or an Error, when the evaluation failed.
+ * The enforcement mode ('enforce' or 'monitor') tells if the decision was applied to the request.
+ **/
+exports.create = (server, options) => {
+
+    server.event(exports.EVENT);
+
+    const sinks = options.sinks.map((sink) => {
+
+        if (sink instanceof Function) {
+            return sink;
+        }
+
+        return internals.sinks[sink.type](sink, server);
+    });
+
+    return (request, source, decision, start, enforcement) => {
+
+        const elapsed = process.hrtime(start);
+
+        const record = {
+            timestamp: new Date().toISOString(),
+            route: request.route.path,
+            method: request.method,
+            credentials: internals.identify(options.identifier, request),
+            source,
+            enforcement: enforcement || 'enforce',
+            decision: decision instanceof Error ? 'error' : Evaluator.decisions[decision],
+            duration: elapsed[0] * 1e3 + elapsed[1] / 1e6
+        };
+
+        if (decision instanceof Error) {
+            record.error = decision.message;
+        }
+
+        server.events.emit(exports.EVENT, record).catch((err) => request.log(['rbac', 'audit', 'error'], err));
+
+        sinks.forEach((sink) => {
+
+            try {
+                sink(record, request);
+            }
+            catch (err) {
+                request.log(['rbac', 'audit', 'error'], err);
+            }
+        });
+    };
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const Hoek = require('hoek');
+const RbacCore = require('rbac-core');
+const Evaluator = require('./evaluator');
+const Obligations = require('./obligations');
+const PolicySchema = require('./policy-schema');
+
+const internals = {};
+
+/**
+ * Data retriever for the extra attributes of an authorization, keyed by source:
+ *
+ * { comment: { author: 'john' } } is matched by the 'comment:author' target key.
+ *
+ * Extra attributes take precedence over the registered data retrievers, which handle the remaining sources.
+ **/
+internals.withAttributes = (dataRetriever, attributes) => {
+    const child = dataRetriever.createChild();
+
+    Object.keys(attributes).forEach((source) => {
+        child.register(source, (name, key, context) => Hoek.reach(attributes[source], key));
+    });
+
+    return child;
+};
+
+/**
+ * Create the function which evaluates an arbitrary policy (or the id of a named policy) on demand:
+ *
+ * async (policy, dataRetriever, attributes) => ({ permitted, result, trace, obligations, advice, error })
+ *
+ * It never throws. When the policy is invalid or can not be evaluated, the result is UNDETERMINED and the error is returned.
+ * Obligations and advice are collected, but not fulfilled.
+ **/
+exports.create = (registry, sources) => {
+    const schemas = new Map();
+
+    // Policies can target the registered sources and the ones of the extra attributes
+    const validate = (policy, attributes) => {
+        const names = sources().concat(Object.keys(attributes));
+        const key = names.join(',');
+
+        if (!schemas.has(key)) {
+            schemas.set(key, PolicySchema.policy(names));
+        }
+
+        PolicySchema.assert(policy, schemas.get(key), 'RBAC policy');
+    };
+
+    return async (policy, dataRetriever, attributes) => {
+        attributes = attributes || {};
+
+        try {
+            if (policy && typeof policy === 'object') {
+                validate(policy, attributes);
+            }
+
+            const trace = await Evaluator.evaluate(registry.resolve(policy), internals.withAttributes(dataRetriever, attributes));
+
+            return Object.assign({
+                permitted: trace.result === RbacCore.PERMIT,
+                result: trace.result,
+                trace
+            }, Obligations.collect(trace));
+        }
+        catch (err) {
+            return {
+                permitted: false,
+                result: RbacCore.UNDETERMINED,
+                trace: null,
+                obligations: [],
+                advice: [],
+                error: err
+            };
+        }
+    };
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const Path = require('path');
+const Analyzer = require('./analyzer');
+const DataRetriever = require('./data-retriever');
+const Evaluator = require('./evaluator');
+const PolicySchema = require('./policy-schema');
+
+const internals = {};
+
+// Exit codes
+exports.PASS = 0;
+exports.FAIL = 1;
+exports.ERROR = 2;
+
+internals.usage = [
+    'Usage: hapi-rbac <command> [options]',
+    '',
+    'Commands:',
+    '  evaluate <policy> <context...>  Evaluate a policy for each context, with the built-in data retrievers',
+    '  analyze <policy...>             Report unreachable rules, conflicts, contradictory targets and empty policies',
+    '',
+    'Options:',
+    '  --json   Print the results as JSON',
+    '  --trace  Print the evaluation trace of each context',
+    '  --help   Print this message',
+    '',
+    'Policy and context files are JSON documents or JS modules. A context file has a context, or an array of them:',
+    '',
+    '  { "name": "alice", "credentials": { ... }, "params": { ... }, "query": { ... }, "headers": { ... },',
+    '    "method": "get", "path": "/documents/1", "expect": "permit" }',
+    '',
+    'Exit codes: 0 when every decision is the expected one (permit, by default) or no problem is found, 1 otherwise, 2 on errors.'
+].join('\n');
+
+internals.usageError = (message) => {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+};
+
+internals.load = (file) => require(Path.resolve(file));
+
+internals.loadPolicy = (file, dataRetriever) => {
+    const policy = internals.load(file);
+    PolicySchema.assert(policy, PolicySchema.policy(Object.keys(dataRetriever.retrievers)), 'policy ' + file);
+
+    return policy;
+};
+
+/**
+ * Synthetic request context, with the same shape the built-in data retrievers read from the request
+ **/
+internals.context = (context) => {
+    const headers = {};
+    Object.keys(context.headers || {}).forEach((name) => {
+        headers[name.toLowerCase()] = context.headers[name];
+    });
+
+    return {
+        auth: {
+            credentials: context.credentials || null,
+            isAuthenticated: !!context.credentials
+        },
+        method: (context.method || 'get').toLowerCase(),
+        path: context.path || '/',
+        params: context.params || {},
+        query: context.query || {},
+        headers,
+        state: context.state || context.cookies || {},
+        payload: context.payload,
+        info: context.info || {}
+    };
+};
+
+/**
+ * Rules whose target matched, and so contributed with their effect
+ **/
+internals.matchedRules = (node) => {
+    if (node.type === 'rule') {
+        return node.target.matched ? [node] : [];
+    }
+
+    return [].concat(...(node.children || []).map(internals.matchedRules));
+};
+
+internals.parse = (argv) => {
+    const args = { command: null, files: [], json: false, trace: false, help: false };
+
+    argv.forEach((arg) => {
+        if (arg === '--json') {
+            args.json = true;
+        }
+        else if (arg === '--trace') {
+            args.trace = true;
+        }
+        else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        }
+        else if (arg.startsWith('-')) {
+            throw internals.usageError('Unknown option: ' + arg);
+        }
+        else if (!args.command) {
+            args.command = arg;
+        }
+        else {
+            args.files.push(arg);
+        }
+    });
+
+    return args;
+};
+
+internals.commands = {};
+
+/**
+ * Evaluate the policy of the first file for every context of the other files
+ **/
+internals.commands.evaluate = async (args, output) => {
+    const [policyFile, ...contextFiles] = args.files;
+    if (!policyFile || !contextFiles.length) {
+        throw internals.usageError('Missing policy or context files');
+    }
+
+    const dataRetriever = DataRetriever.create({});
+    const policy = internals.loadPolicy(policyFile, dataRetriever);
+
+    const contexts = [].concat(...contextFiles.map((file) => [].concat(internals.load(file))));
+
+    const results = [];
+    for (const [index, context] of contexts.entries()) {
+        const trace = await Evaluator.evaluate(policy, dataRetriever.createChild(internals.context(context)));
+        const decision = Evaluator.decisions[trace.result];
+        const expected = context.expect || 'permit';
+
+        const result = {
+            name: context.name || ('context ' + (index + 1)),
+            decision,
+            expected,
+            pass: decision === expected,
+            rules: internals.matchedRules(trace).map((rule) => ({ path: rule.path, effect: rule.effect }))
+        };
+
+        if (args.trace) {
+            result.trace = trace;
+        }
+
+        results.push(result);
+    }
+
+    if (args.json) {
+        output.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    }
+    else {
+        results.forEach((result) => {
+            output.stdout.write(`${result.pass ? 'PASS' : 'FAIL'} ${result.name}: ${result.decision}` + (result.pass ? '' : ` (expected ${result.expected})`) + '\n');
+            result.rules.forEach((rule) => output.stdout.write(`  matched ${rule.path || '(root)'} -> ${rule.effect}\n`));
+
+            if (result.trace) {
+                output.stdout.write(JSON.stringify(result.trace, null, 2) + '\n');
+            }
+        });
+    }
+
+    return results.every((result) => result.pass) ? exports.PASS : exports.FAIL;
+};
+
+/**
+ * Static analysis of every policy file
+ **/
+internals.commands.analyze = (args, output) => {
+    if (!args.files.length) {
+        throw internals.usageError('Missing policy files');
+    }
+
+    const dataRetriever = DataRetriever.create({});
+    const results = args.files.map((file) => ({
+        file,
+        findings: Analyzer.analyze(internals.loadPolicy(file, dataRetriever))
+    }));
+
+    if (args.json) {
+        output.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    }
+    else {
+        results.forEach((result) => {
+            output.stdout.write(`${result.findings.length ? 'FAIL' : 'PASS'} ${result.file}\n`);
+            result.findings.forEach((finding) => output.stdout.write(`  ${finding.type}: ${finding.message}\n`));
+        });
+    }
+
+    return results.every((result) => !result.findings.length) ? exports.PASS : exports.FAIL;
+};
+
+/**
+ * Run the command line interface, resolving to the exit code
+ **/
+exports.run = async (argv, output) => {
+    output = output || { stdout: process.stdout, stderr: process.stderr };
+
+    try {
+        const args = internals.parse(argv);
+
+        if (args.help) {
+            output.stdout.write(internals.usage + '\n');
+            return exports.PASS;
+        }
+
+        const command = internals.commands[args.command];
+        if (!command) {
+            throw internals.usageError(args.command ? 'Unknown command: ' + args.command : 'Missing command');
+        }
+
+        return await command(args, output);
+    }
+    catch (err) {
+        output.stderr.write(err.message + '\n' + (err.usage ? '\n' + internals.usage + '\n' : ''));
+        return exports.ERROR;
+    }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+exports.SOURCES = ['global', 'route', 'merged', 'dynamic', 'none', 'missing'];
+
+/**
+ * Access control coverage of every route in server.table().
+ *
+ * describe(route) returns the { source, named, enforcement } of the route, where source is one of:
+ *
+ *   - global - The global static policy
+ *   - route - A route static policy
+ *   - merged - The global and route static policies
+ *   - dynamic - A dynamic policy function (at any level)
+ *   - none - Explicitly disabled with 'none'
+ *   - missing - No policy at all
+ *
+ * Returns { routes: [{ method, path, auth, source, named, enforcement }], summary: { global: 3, route: 1, ... } }
+ **/
+exports.report = (server, describe) => {
+
+    const summary = {};
+    exports.SOURCES.forEach((source) => {
+
+        summary[source] = 0;
+    });
+
+    const routes = server.table().map((route) => {
+
+        const entry = Object.assign({
+            method: route.method,
+            path: route.path,
+            auth: !!server.auth.lookup(route)
+        }, describe(route));
+
+        summary[entry.source]++;
+        return entry;
+    });
+
+    return { routes, summary };
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const RbacCore = require('rbac-core');
+const Roles = require('./roles');
+const Scopes = require('./scopes');
+
+const DataRetrievalRouter = RbacCore.DataRetrievalRouter;
+
+const internals = {};
+
+/**
+ * Data retriever handlers can use the callback signature (source, key, context, callback) or
+ * return the value, or a Promise of it, from (source, key, context).
+ *
+ * The DataRetrievalRouter decides by the function arity, and requires at least three arguments.
+ **/
+internals.dataRetrieverHandler = (handler) => {
+
+    if (handler.length > 3) {
+        return handler;
+    }
+
+    return (source, key, context) => handler(source, key, context);
+};
+
+/**
+ * Restrict a data retriever to an allowlist of names (e.g. header or cookie names).
+ * Keys outside the allowlist retrieve nothing.
+ **/
+internals.allowlist = (handler, allowed, normalize) => {
+
+    if (!allowed) {
+        return handler;
+    }
+
+    allowed = allowed.map(normalize);
+
+    return (source, key, context) => {
+
+        if (allowed.indexOf(normalize(key.split('.')[0])) === -1) {
+            return;
+        }
+
+        return handler(source, key, context);
+    };
+};
+
+/**
+ * Create the data retrieval router with the built-in data retrievers and the user defined ones.
+ *
+ * The options are the plugin ones: allowedHeaders, allowedCookies, trustedProxies, roles, roleKey and dataRetrievers.
+ * The context of the built-in data retrievers is the request (or an object with the same shape).
+ **/
+exports.create = (options) => {
+
+    const dataRetriever = new DataRetrievalRouter();
+
+    // Register default data retrievers
+    dataRetriever.register('credentials', require('./dataRetrievers/credentials'));
+    dataRetriever.register('connection', require('./dataRetrievers/connection'));
+    dataRetriever.register('query', require('./dataRetrievers/query-params'));
+    dataRetriever.register(['param', 'params'], require('./dataRetrievers/url-params'));
+    dataRetriever.register('request', require('./dataRetrievers/request'));
+    dataRetriever.register(['header', 'headers'], internals.allowlist(require('./dataRetrievers/headers'), options.allowedHeaders, (name) => name.toLowerCase()));
+    dataRetriever.register('payload', require('./dataRetrievers/payload'));
+    dataRetriever.register(['state', 'cookie'], internals.allowlist(require('./dataRetrievers/state'), options.allowedCookies, (name) => name));
+    dataRetriever.register('client', require('./dataRetrievers/client').create(options.trustedProxies || []));
+
+    // Scopes have many segments (e.g. 'scope:articles:*:read'), but the router only keeps the first one after the source
+    const scope = Scopes.handler(dataRetriever);
+    dataRetriever.register('scope', scope);
+
+    const get = dataRetriever.get;
+    dataRetriever.get = function (key, context) {
+        // Unless a user defined data retriever handles the scope source
+        if (key.indexOf('scope:') !== 0 || this.retrievers.scope !== scope) {
+            return get.call(this, key, context);
+        }
+
+        return scope('scope', key.slice('scope:'.length), context || this.context);
+    };
+
+    // Role hierarchy, when defined
+    if (options.roles) {
+        const handlers = Roles.handlers(Roles.create(options.roles, options.roleKey));
+        dataRetriever.register('role', handlers.role);
+        dataRetriever.register('permission', handlers.permission);
+    }
+
+    // Load user defined data retrievers, which take precedence over the default ones of the same source
+    (options.dataRetrievers || []).forEach((dataRetrieverItem) => {
+
+        dataRetriever.register(dataRetrieverItem.handles, internals.dataRetrieverHandler(dataRetrieverItem.handler), { override: true });
+    });
+
+    return dataRetriever;
+};
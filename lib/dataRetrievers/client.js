@@ -0,0 +1,22 @@
+'use strict';
+
+const Hoek = require('hoek');
+const Ip = require('../ip');
+
+/**
+ * Client information, behind the trusted proxies:
+ *
+ *   - ip - Address of the client, from X-Forwarded-For when the request comes from a trusted proxy
+ **/
+exports.create = (trustedProxies) => {
+
+    return (source, key, context) => {
+
+        if (!context || key !== 'ip') {
+            // Return nothing
+            return;
+        }
+
+        return Ip.client(Hoek.reach(context, 'info.remoteAddress'), Hoek.reach(context, ['headers', 'x-forwarded-for']), trustedProxies);
+    };
+};
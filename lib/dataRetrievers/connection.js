@@ -2,12 +2,12 @@
 
 const Hoek = require('hoek');
 
-exports = module.exports = (source, key, context, callback) => {
+exports = module.exports = (source, key, context) => {
 
     if(!context) {
         // Return nothing
-        return callback();
+        return;
     }
 
-    callback(null, Hoek.reach(context, 'info.' + key));
+    return Hoek.reach(context, 'info.' + key);
 };
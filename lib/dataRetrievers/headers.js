@@ -0,0 +1,12 @@
+'use strict';
+
+exports = module.exports = (source, key, context) => {
+
+    if (!context || !context.headers) {
+        // Return nothing
+        return;
+    }
+
+    // Header names are case insensitive, and hapi stores them in lower case
+    return context.headers[key.toLowerCase()];
+};
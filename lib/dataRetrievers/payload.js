@@ -0,0 +1,13 @@
+'use strict';
+
+const Hoek = require('hoek');
+
+exports = module.exports = (source, key, context) => {
+
+    if (!context) {
+        // Return nothing
+        return;
+    }
+
+    return Hoek.reach(context, 'payload.' + key);
+};
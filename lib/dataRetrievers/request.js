@@ -2,17 +2,17 @@
 
 const Hoek = require('hoek');
 
-exports = module.exports = (source, key, context, callback) => {
+exports = module.exports = (source, key, context) => {
 
     if(!context) {
         // Return nothing
-        return callback();
+        return;
     }
 
     // Check allowed keys
     if(['method', 'path'].indexOf(key) === -1) {
-        return callback();
+        return;
     }
 
-    callback(null, Hoek.reach(context, key));
+    return Hoek.reach(context, key);
 };
@@ -0,0 +1,283 @@
+'use strict';
+
+const Boom = require('boom');
+const RbacCore = require('rbac-core');
+const Operators = require('./operators');
+const Scopes = require('./scopes');
+
+const DataRetrievalRouter = RbacCore.DataRetrievalRouter;
+
+const internals = {};
+
+internals.VALID_EFFECTS = ['permit', 'deny'];
+
+/**
+ * Names of the rbac-core results, used in audit records, events and reports
+ **/
+exports.decisions = {};
+exports.decisions[RbacCore.PERMIT] = 'permit';
+exports.decisions[RbacCore.DENY] = 'deny';
+exports.decisions[RbacCore.UNDETERMINED] = 'undetermined';
+
+/**
+ * Evaluate a policy set, policy or rule and record every visited node.
+ *
+ * The returned trace node has the following shape:
+ *
+ * {
+ *   type: 'policySet' | 'policy' | 'rule',
+ *   path: 'policies[0].rules[1]',
+ *   apply: 'permit-overrides',   // policy sets and policies
+ *   effect: 'permit',            // rules
+ *   target: { matched: true, elements: [{ matched: true, keys: [{ key, expected, value, matched }] }] },
+ *   result: PERMIT | DENY | UNDETERMINED,
+ *   obligations: [...],          // when defined in the item
+ *   advice: [...],               // when defined in the item
+ *   children: [...]              // policy sets and policies, when the target matched
+ * }
+ **/
+exports.evaluate = async (item, dataRetriever) => {
+    if (!dataRetriever) {
+        throw Boom.badImplementation('RBAC configuration error: null data retriever');
+    }
+
+    if (!(dataRetriever instanceof DataRetrievalRouter)) {
+        throw Boom.badImplementation('RBAC configuration error: invalid data retriever');
+    }
+
+    return await internals.evaluateItem(item, dataRetriever, '');
+};
+
+internals.evaluateItem = async (item, dataRetriever, path) => {
+    if (!item) {
+        throw Boom.badImplementation('RBAC configuration error: null item');
+    }
+
+    if (!item.policies && !item.rules) {
+        return await internals.evaluateRule(item, dataRetriever, path);
+    }
+
+    const apply = item.apply || 'permit-overrides';
+    const combine = internals.combineAlg[apply];
+    if (!combine) {
+        throw Boom.badImplementation('RBAC error: combinatory algorithm does not exist: ' + apply);
+    }
+
+    const node = {
+        type: item.policies ? 'policySet' : 'policy',
+        path,
+        apply,
+        target: await internals.evaluateTarget(item.target, dataRetriever)
+    };
+
+    internals.annotate(node, item);
+
+    if (!node.target.matched) {
+        node.result = RbacCore.UNDETERMINED;
+        return node;
+    }
+
+    const children = item.policies || item.rules;
+    const evaluateChild = item.policies ? internals.evaluateItem : internals.evaluateRule;
+    const childKey = item.policies ? 'policies' : 'rules';
+
+    if (apply === 'first-applicable') {
+        // In array order, stopping at the first applicable child
+        node.children = [];
+        for (let i = 0; i < children.length; ++i) {
+            const child = await evaluateChild(children[i], dataRetriever, internals.childPath(path, childKey, i));
+            node.children.push(child);
+
+            if (child.result !== RbacCore.UNDETERMINED) {
+                break;
+            }
+        }
+    }
+    else {
+        node.children = await Promise.all(children.map((child, index) =>
+            evaluateChild(child, dataRetriever, internals.childPath(path, childKey, index))));
+    }
+
+    node.result = combine(node.children.map((child) => child.result));
+    return node;
+};
+
+internals.evaluateRule = async (rule, dataRetriever, path) => {
+    if (!rule) {
+        throw Boom.badImplementation('RBAC rule is missing');
+    }
+
+    if (!rule.effect) {
+        throw Boom.badImplementation('RBAC rule effect is missing');
+    }
+
+    if (internals.VALID_EFFECTS.indexOf(rule.effect) === -1) {
+        throw Boom.badImplementation('RBAC rule effect is invalid: ' + rule.effect);
+    }
+
+    const node = {
+        type: 'rule',
+        path,
+        effect: rule.effect,
+        target: await internals.evaluateTarget(rule.target, dataRetriever)
+    };
+
+    internals.annotate(node, rule);
+
+    if (!node.target.matched) {
+        node.result = RbacCore.UNDETERMINED;
+    }
+    else {
+        node.result = rule.effect === 'permit' ? RbacCore.PERMIT : RbacCore.DENY;
+    }
+
+    return node;
+};
+
+internals.annotate = (node, item) => {
+    if (item.obligations) {
+        node.obligations = item.obligations;
+    }
+
+    if (item.advice) {
+        node.advice = item.advice;
+    }
+};
+
+internals.childPath = (path, key, index) => (path ? path + '.' : '') + key + '[' + index + ']';
+
+/**
+ * The elements in the target array are matched with OR condition. The keys in an element are matched with AND condition.
+ * A missing target always matches.
+ **/
+internals.evaluateTarget = async (target, dataRetriever) => {
+    if (!target) {
+        return { matched: true, elements: [] };
+    }
+
+    if (Array.isArray(target)) {
+        if (!target.length) {
+            throw Boom.badImplementation('RBAC target error: invalid format. The array in target should have at least one element.');
+        }
+    }
+    else {
+        target = [target];
+    }
+
+    const elements = await Promise.all(target.map((element) => internals.evaluateTargetElement(element, dataRetriever)));
+
+    return {
+        matched: elements.some((element) => element.matched),
+        elements
+    };
+};
+
+internals.evaluateTargetElement = async (element, dataRetriever) => {
+    const keys = await Promise.all(Object.keys(element).map((key) => internals.evaluateTargetKey(element, key, dataRetriever)));
+
+    return {
+        matched: keys.every((key) => key.matched),
+        keys
+    };
+};
+
+internals.evaluateTargetKey = async (element, key, dataRetriever) => {
+    const [expected, value] = await Promise.all([
+        internals.getTargetValue(element[key], dataRetriever),
+        dataRetriever.get(key)
+    ]);
+
+    return {
+        key,
+        expected,
+        value,
+        matched: internals.targetApplies(expected, value)
+    };
+};
+
+/**
+ * A target value defined as { field: 'credentials:username' } is replaced by the value retrieved for that key.
+ * The references of a target value defined as { scope: 'articles:{params.id}:read' } are replaced by the retrieved values.
+ **/
+internals.getTargetValue = async (definedValue, dataRetriever) => {
+    if (definedValue && typeof definedValue === 'object' && definedValue.field) {
+        return dataRetriever.get(definedValue.field);
+    }
+
+    if (definedValue && typeof definedValue === 'object' && definedValue.scope) {
+        return { scope: await Scopes.interpolate(definedValue.scope, dataRetriever) };
+    }
+
+    return definedValue;
+};
+
+/**
+ * When the target has more than one value, all of them should be present in the retrieved values.
+ * Operator objects (e.g. { $gte: 18 }) are matched against all the retrieved values.
+ **/
+internals.targetApplies = (targets, retrieved) => {
+    targets = [].concat(targets);
+    const values = [].concat(retrieved);
+
+    return targets.every((target) => Operators.isOperator(target) ? Operators.matches(target, retrieved) : values.some((value) => {
+        if (target instanceof RegExp) {
+            return target.test(value);
+        }
+
+        // Any retrieved scope which grants the required one
+        if (target && typeof target === 'object' && 'scope' in target) {
+            return Scopes.grants(value, target.scope);
+        }
+
+        return value === target;
+    }));
+};
+
+/**
+ * Combinatory algorithms. Each receives the children results and returns the combined result.
+ *
+ *   - permit-overrides - If at least one permit is evaluated, then permit
+ *   - deny-overrides - If at least one deny is evaluated, then deny
+ *   - first-applicable - The result of the first applicable (permit or deny) item, in array order
+ *   - only-one-applicable - The result of the only applicable item. Undetermined if more than one applies
+ *   - deny-unless-permit - Permit if at least one permit is evaluated, deny otherwise (even with no children)
+ *   - permit-unless-deny - Deny if at least one deny is evaluated, permit otherwise (even with no children)
+ *
+ * The algorithms only combine the children: an item whose own target does not match is undetermined, whatever the algorithm.
+ **/
+// Without prototype, so that only the algorithms below are found (e.g. not 'constructor')
+internals.combineAlg = Object.create(null);
+
+internals.combineAlg['permit-overrides'] = (results) => {
+    if (!results.length) {
+        return RbacCore.UNDETERMINED;
+    }
+
+    return results.indexOf(RbacCore.PERMIT) !== -1 ? RbacCore.PERMIT : RbacCore.DENY;
+};
+
+internals.combineAlg['deny-overrides'] = (results) => {
+    if (!results.length) {
+        return RbacCore.UNDETERMINED;
+    }
+
+    return results.indexOf(RbacCore.DENY) !== -1 ? RbacCore.DENY : RbacCore.PERMIT;
+};
+
+internals.combineAlg['first-applicable'] = (results) => {
+    const applicable = results.filter((result) => result !== RbacCore.UNDETERMINED);
+
+    return applicable.length ? applicable[0] : RbacCore.UNDETERMINED;
+};
+
+internals.combineAlg['only-one-applicable'] = (results) => {
+    const applicable = results.filter((result) => result !== RbacCore.UNDETERMINED);
+
+    return applicable.length === 1 ? applicable[0] : RbacCore.UNDETERMINED;
+};
+
+internals.combineAlg['deny-unless-permit'] = (results) => (results.indexOf(RbacCore.PERMIT) !== -1 ? RbacCore.PERMIT : RbacCore.DENY);
+
+internals.combineAlg['permit-unless-deny'] = (results) => (results.indexOf(RbacCore.DENY) !== -1 ? RbacCore.DENY : RbacCore.PERMIT);
+
+exports.algorithms = Object.keys(internals.combineAlg);
@@ -4,11 +4,28 @@ const Boom = require('boom');
 const Joi = require('joi');
 const Hoek = require('hoek');
 const RbacCore = require('rbac-core');
+const Audit = require('./audit');
+const Authorization = require('./authorization');
+const Coverage = require('./coverage');
+const DataRetriever = require('./data-retriever');
+const Evaluator = require('./evaluator');
+const Monitor = require('./monitor');
+const Obligations = require('./obligations');
+const Permissions = require('./permissions');
+const PolicyCache = require('./policy-cache');
+const PolicyRegistry = require('./policy-registry');
+const PolicySchema = require('./policy-schema');
+const PolicyWalker = require('./policy-walker');
+const Redaction = require('./redaction');
+const Shadow = require('./shadow');
+const RetrieverCache = require('./retriever-cache');
 const Pack = require('../package.json');
 
-const DataRetrievalRouter = RbacCore.DataRetrievalRouter;
-
 const CONFIG_NONE = 'none';
+const EXTENSION_POINTS = ['onCredentials', 'onPostAuth', 'onPreHandler'];
+const ENFORCEMENT_MODES = ['enforce', 'monitor'];
+const POLICY_KEYS = ['target', 'apply', 'rules', 'policies', 'effect', 'ref'];
+const PERMISSIONS_PATH = '/rbac/permissions';
 
 const internals = {};
 const schemas = {};
@@ -16,56 +33,210 @@ const defaults = {};
 
 schemas.policyRetriever = Joi.func();
 schemas.policy = Joi.object();
+schemas.policyId = Joi.string().min(1).invalid(CONFIG_NONE);
+schemas.ext = Joi.string().valid(EXTENSION_POINTS);
+schemas.enforcement = Joi.string().valid(ENFORCEMENT_MODES);
+schemas.shadowRate = Joi.number().min(0).max(1);
+schemas.merge = Joi.alternatives().try(
+    Joi.boolean().valid(false),
+    Joi.string().valid(Evaluator.algorithms)
+);
 schemas.DataRetrievalRouter_register_handles = Joi.alternatives().try(
     Joi.string().min(1),
     Joi.array().items(Joi.string().min(1))
 );
 
+/**
+ * The route configuration can be the policy itself (object, function, id of a named policy or 'none'), or an object with the policy and route options:
+ *
+ * {
+ *   policy: { ... },
+ *   ext: 'onPreHandler',
+ *   merge: 'deny-overrides',
+ *   enforcement: 'monitor',
+ *   shadow: { ... },
+ *   shadowRate: 0.1,
+ *   fields: { email: { ... } }
+ * }
+ *
+ * An object without any of the policy keys is taken as route options. An array is a list of policies.
+ **/
+internals.routeSettings = (route) => {
+    const config = route.settings.plugins.rbac;
+
+    if (config && typeof config === 'object' && !Array.isArray(config) && POLICY_KEYS.every((key) => config[key] === undefined)) {
+        return config;
+    }
+
+    return { policy: config };
+};
+
+/**
+ * Schema of the route options, with the policy schema for the registered data retriever sources
+ **/
+internals.routeSchema = (policy) => {
+    // Named policies are referenced by id
+    const named = Joi.alternatives().when(Joi.string(), {
+        then: Joi.string().min(1),
+        otherwise: policy
+    });
+
+    const config = Joi.alternatives().when(Joi.func(), {
+        then: schemas.policyRetriever,
+        otherwise: Joi.alternatives().when(Joi.array(), {
+            then: Joi.array().items(named).min(1),
+            otherwise: named
+        })
+    });
+
+    return Joi.object({
+        policy: config.optional(),
+        ext: schemas.ext.optional(),
+        merge: schemas.merge.optional(),
+        enforcement: schemas.enforcement.optional(),
+        shadow: Joi.alternatives().when(Joi.func(), {
+            then: schemas.policyRetriever,
+            otherwise: named
+        }).optional(),
+        shadowRate: schemas.shadowRate.optional(),
+        fields: Joi.object().pattern(/./, named).optional()
+    });
+};
+
+/**
+ * Static policies of a route (or the global one), with their references to named policies
+ **/
+internals.staticPolicies = (policies) => [].concat(policies || []).filter((policy) => policy !== CONFIG_NONE && !(policy instanceof Function));
+
+/**
+ * Validate the access control configuration of every route, so that mistakes are found on server start.
+ * Every named policy they reference must be registered.
+ **/
+internals.validateRoutes = (server, routeSchema, registry) => {
+    server.table().forEach((route) => {
+        const settings = internals.routeSettings(route);
+        const description = `RBAC configuration of route ${route.method} ${route.path}`;
+
+        PolicySchema.assert(settings, routeSchema, description);
+
+        const fields = settings.fields || {};
+        internals.staticPolicies(settings.policy)
+            .concat(internals.staticPolicies(settings.shadow))
+            .concat(Object.keys(fields).map((name) => fields[name]))
+            .forEach((policy) => registry.check(policy, description));
+    });
+};
+
+/**
+ * Named policies can reference each other, and must not have missing or circular references
+ **/
+internals.validateRegistry = (registry) => {
+    registry.ids().forEach((id) => registry.check({ ref: id }, `RBAC policy ${id}`));
+};
+
 /**
  * If the configuration is a function, then this function should retrieve the access policy (e.g.: from a database).
  * Otherwise, it is assumed that the configuration is the access policy itself.
  *
  * The callback signature is function (err, policy) {}
+ *
+ * When the policy cache is enabled, the policies returned by the function are cached.
  **/
-internals.retrievePolicy = async (config, request) => {
+internals.retrievePolicy = async (config, request, cache) => {
     if (config instanceof Function) {
+        if (cache) {
+            return cache.get(request, config);
+        }
+
         return config(request);
     }
 
     return config;
 };
 
-internals.evaluatePolicy = (policy, wrappedDataRetriever) =>
-    new Promise((resolve, reject) => {
-        RbacCore.evaluatePolicy(policy, wrappedDataRetriever, (err, result) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(result);
-            }
-        });
-    });
-
 
 /**
  * Hapi register function
  **/
 schemas.register_options = Joi.object({
     onError: Joi.func().optional(),
+    ext: schemas.ext.optional(),
+    merge: schemas.merge.optional(),
+    enforcement: schemas.enforcement.optional(),
     responseCode: Joi.object({
         onDeny: Joi.number().optional(),
         onUndetermined: Joi.number().optional()
     }).optional(),
     policy: Joi.alternatives().try(
         schemas.policyRetriever,
+        schemas.policyId,
         schemas.policy
     ).optional(),
+    policies: Joi.object().pattern(/^(?!none$)./, schemas.policy).optional(),
+    shadow: Joi.alternatives().try(
+        schemas.policyRetriever,
+        schemas.policyId,
+        schemas.policy
+    ).optional(),
+    shadowRate: schemas.shadowRate.optional(),
+    obligations: Joi.object().pattern(/.+/, Joi.func()).optional(),
+    allowedHeaders: Joi.array().items(Joi.string().min(1)).optional(),
+    allowedCookies: Joi.array().items(Joi.string().min(1)).optional(),
+    trustedProxies: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).optional(),
+    roles: Joi.object().pattern(/.+/, Joi.object({
+        parents: Joi.array().items(Joi.string().min(1)).optional(),
+        permissions: Joi.array().items(Joi.string().min(1)).optional()
+    })).optional(),
+    roleKey: Joi.string().min(1).optional(),
     dataRetrievers: Joi.array().items(
         Joi.object({
             handles: schemas.DataRetrievalRouter_register_handles.required(),
-            handler: Joi.func().required()
+            handler: Joi.func().required(),
+            cache: Joi.boolean().optional()
         })
-    ).optional()
+    ).optional(),
+    audit: Joi.object({
+        identifier: Joi.alternatives().try(
+            Joi.string().min(1),
+            Joi.func()
+        ).optional(),
+        sinks: Joi.array().items(
+            Joi.func(),
+            Joi.object({
+                type: Joi.string().valid('log').required(),
+                tags: Joi.array().items(Joi.string()).optional()
+            }),
+            Joi.object({
+                type: Joi.string().valid('file').required(),
+                path: Joi.string().min(1).required()
+            })
+        ).optional()
+    }).optional(),
+    requirePolicy: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.object({
+            allow: Joi.array().items(
+                Joi.string(),
+                Joi.object().type(RegExp)
+            ).optional(),
+            exemptUnauthenticated: Joi.boolean().optional()
+        })
+    ).optional(),
+    coverage: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.object({
+            tags: Joi.array().items(Joi.string()).optional()
+        })
+    ).optional(),
+    permissionsRoute: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.string().regex(/^\//, 'path')
+    ).optional(),
+    policyCache: Joi.object({
+        ttl: Joi.number().integer().min(0).optional(),
+        max: Joi.number().integer().min(1).optional(),
+        key: Joi.func().optional()
+    }).optional()
 });
 
 defaults.options = {
@@ -76,41 +247,261 @@ defaults.options = {
         onDeny: 401,
         onUndetermined: 401
     },
-    dataRetrievers: []
+    ext: 'onPostAuth',
+    merge: false,
+    enforcement: 'enforce',
+    shadowRate: 1,
+    roleKey: 'group',
+    dataRetrievers: [],
+    audit: {
+        identifier: 'id',
+        sinks: []
+    }
 };
 
-internals.retrievePolicyHandler = (dataRetriever, options) =>
-    async (request, h) => {
-        const config = request.route.settings.plugins.rbac || options.policy;
-        if (config && config !== CONFIG_NONE) {
-            try {
-                const policy = await internals.retrievePolicy(config, request);
+/**
+ * The combinatory algorithm to merge the global and route policies, or false when the route policy overrides the global one
+ **/
+internals.mergeAlgorithm = (settings, options) => (settings.merge !== undefined ? settings.merge : options.merge);
 
-                if (!policy || policy === CONFIG_NONE) {
-                    return h.continue;
-                }
+/**
+ * The policy configurations which apply to a route: the route one, the global one, or both when merging
+ **/
+internals.policyConfigs = (settings, options) => {
+    if (settings.policy === CONFIG_NONE) {
+        return [];
+    }
 
-                // Add context to data retriever's child
-                const result = await internals.evaluatePolicy(policy, dataRetriever.createChild(request));
-                if (result === RbacCore.DENY) {
-                    return options.onError(request, h, new Boom('No permissions to access this resource', {
-                        statusCode: options.responseCode.onDeny
-                    }));
-                }
+    if (!settings.policy) {
+        return options.policy ? [options.policy] : [];
+    }
 
-                if (result === RbacCore.UNDETERMINED) {
-                    return options.onError(request, h, new Boom('Could not evaluate access rights to resource', {
-                        statusCode: options.responseCode.onUndetermined
-                    }));
-                }
+    if (options.policy && internals.mergeAlgorithm(settings, options)) {
+        return [options.policy, settings.policy];
+    }
 
-            } catch (err) {
-                return options.onError(request, h, err);
+    return [settings.policy];
+};
+
+/**
+ * Combine the retrieved policies (and route policy arrays) into a single policy set.
+ * Without merge algorithm, policy arrays are combined with permit-overrides.
+ **/
+internals.combinePolicies = (policies, merge) => {
+    policies = [].concat(...policies).filter((policy) => policy && policy !== CONFIG_NONE);
+
+    if (policies.length <= 1) {
+        return policies[0] || null;
+    }
+
+    return {
+        apply: merge || 'permit-overrides',
+        policies
+    };
+};
+
+/**
+ * The shadow policy of a route: the route one, or the global one. 'none' disables the global shadow policy in a route.
+ **/
+internals.shadowConfig = (settings, options) => {
+    if (settings.shadow === CONFIG_NONE) {
+        return null;
+    }
+
+    return settings.shadow || options.shadow;
+};
+
+/**
+ * Where the policy comes from, for the audit records and the coverage report: 'dynamic' (a policy retriever function
+ * at any level, even when merged), 'merged' (global and route policies), 'route' or 'global'
+ **/
+internals.policySource = (settings, configs) => {
+    if ([].concat(...configs).some((config) => config instanceof Function)) {
+        return 'dynamic';
+    }
+
+    if (configs.length > 1) {
+        return 'merged';
+    }
+
+    return settings.policy ? 'route' : 'global';
+};
+
+/**
+ * Access control source of a route, for the coverage report
+ **/
+internals.describeRoute = (route, options) => {
+    const settings = internals.routeSettings(route);
+    const configs = internals.policyConfigs(settings, options);
+
+    const description = {
+        source: 'missing',
+        named: [].concat(...configs).filter((config) => typeof config === 'string'),
+        enforcement: settings.enforcement || options.enforcement
+    };
+
+    if (settings.policy === CONFIG_NONE) {
+        description.source = CONFIG_NONE;
+    } else if (configs.length) {
+        description.source = internals.policySource(settings, configs);
+    }
+
+    return description;
+};
+
+/**
+ * Strict mode: every route needs a policy, a dynamic policy or 'none', unless its path is allowed (exact path or RegExp)
+ * or, optionally, it has no authentication
+ **/
+internals.checkRequiredPolicies = (report, options) => {
+    const settings = options.requirePolicy === true ? {} : options.requirePolicy;
+    const allowed = settings.allow || [];
+
+    const missing = report.routes.filter((route) => {
+        if (route.source !== 'missing') {
+            return false;
+        }
+
+        if (settings.exemptUnauthenticated && !route.auth) {
+            return false;
+        }
+
+        return !allowed.some((path) => (path instanceof RegExp ? path.test(route.path) : path === route.path));
+    });
+
+    if (missing.length) {
+        throw new Error('RBAC policy required for routes: ' + missing.map((route) => route.method + ' ' + route.path).join(', '));
+    }
+};
+
+/**
+ * Requests which went through onCredentials. It is skipped by hapi on routes without authentication,
+ * and then their policies are evaluated on onPostAuth.
+ **/
+internals.credentialsVisited = new WeakSet();
+
+internals.isEvaluationPoint = (request, ext, configured) => {
+    if (ext === 'onCredentials') {
+        internals.credentialsVisited.add(request);
+    }
+
+    if (configured === 'onCredentials' && ext === 'onPostAuth') {
+        return !internals.credentialsVisited.has(request);
+    }
+
+    return configured === ext;
+};
+
+/**
+ * Policies are evaluated in one extension point (ext) for each route. A handler is registered in every supported
+ * extension point, and only evaluates the policy on the one configured for the route.
+ *
+ * In monitor mode, the decisions are reported instead of enforced. Shadow policies are evaluated after the decision.
+ *
+ * The context is built once in register: { options, registry, requestRetriever, cache, fulfill, audit, monitor, shadow }
+ **/
+internals.retrievePolicyHandler = (ext, context) => {
+    const { options, registry, requestRetriever, cache, fulfill, audit, monitor, shadow } = context;
+
+    return async (request, h) => {
+        const settings = internals.routeSettings(request.route);
+        if (!internals.isEvaluationPoint(request, ext, settings.ext || options.ext)) {
+            return h.continue;
+        }
+
+        const configs = internals.policyConfigs(settings, options);
+        if (!configs.length) {
+            return h.continue;
+        }
+
+        const source = internals.policySource(settings, configs);
+        const enforcement = settings.enforcement || options.enforcement;
+        const start = process.hrtime();
+        let result;
+
+        try {
+            const retrieved = await Promise.all(configs.map((config) => internals.retrievePolicy(config, request, cache)));
+            const policy = registry.resolve(internals.combinePolicies(retrieved, internals.mergeAlgorithm(settings, options)));
+
+            if (!policy) {
+                return h.continue;
             }
+
+            // Data retriever's child, with the request as context
+            const trace = await Evaluator.evaluate(policy, requestRetriever(request));
+
+            // Expose the evaluation trace to handlers and later extensions
+            request.plugins.rbac = Object.assign({ trace }, Obligations.collect(trace));
+
+            result = trace.result;
+
+            // A permit is only granted when all its obligations are fulfilled
+            const fulfilled = await fulfill(request, request.plugins.rbac);
+            if (!fulfilled && result === RbacCore.PERMIT) {
+                result = RbacCore.DENY;
+            }
+
+            request.plugins.rbac.result = result;
+        } catch (err) {
+            audit(request, source, err, start, enforcement);
+
+            if (enforcement === 'monitor') {
+                monitor(request, err);
+                return h.continue;
+            }
+
+            return options.onError(request, h, err);
+        }
+
+        audit(request, source, result, start, enforcement);
+
+        const shadowRate = settings.shadowRate !== undefined ? settings.shadowRate : options.shadowRate;
+        shadow(request, internals.shadowConfig(settings, options), shadowRate, result);
+
+        if (enforcement === 'monitor') {
+            monitor(request, result);
+            return h.continue;
+        }
+
+        if (result === RbacCore.DENY) {
+            return options.onError(request, h, new Boom('No permissions to access this resource', {
+                statusCode: options.responseCode.onDeny
+            }));
+        }
+
+        // Only a permit grants access: undetermined and any unexpected result are refused
+        if (result !== RbacCore.PERMIT) {
+            return options.onError(request, h, new Boom('Could not evaluate access rights to resource', {
+                statusCode: options.responseCode.onUndetermined
+            }));
         }
 
         return h.continue;
     };
+};
+
+/**
+ * The payload is only validated right before onPreHandler, and it is never parsed for GET requests.
+ * Warn about static policies which target the payload in routes where it may not be available.
+ **/
+internals.checkPayloadTargets = (server, options, registry) => {
+    server.table().forEach((route) => {
+        const settings = internals.routeSettings(route);
+        const policies = internals.staticPolicies([].concat(...internals.policyConfigs(settings, options))).map(registry.resolve);
+
+        const targetsPayload = policies.some((policy) => PolicyWalker.targetKeys(policy).some((key) => PolicyWalker.source(key) === 'payload'));
+        if (!targetsPayload) {
+            return;
+        }
+
+        const ext = settings.ext || options.ext;
+        if (route.method === 'get') {
+            server.log(['rbac', 'warning'], `Route ${route.method} ${route.path} targets the payload, which is not available on GET requests`);
+        } else if (ext !== 'onPreHandler') {
+            server.log(['rbac', 'warning'], `Route ${route.method} ${route.path} targets the payload in ${ext}, before it is validated. Use onPreHandler instead`);
+        }
+    });
+};
 
 exports.plugin = {
     name: Pack.name,
@@ -123,20 +514,163 @@ exports.plugin = {
 
         options = Hoek.applyToDefaults(defaults.options, options);
 
-        // Register default data retrievers
-        const dataRetriever = new DataRetrievalRouter();
-        dataRetriever.register('credentials', require('./dataRetrievers/credentials'));
-        dataRetriever.register('connection', require('./dataRetrievers/connection'));
-        dataRetriever.register('query', require('./dataRetrievers/query-params'));
-        dataRetriever.register(['param', 'params'], require('./dataRetrievers/url-params'));
-        dataRetriever.register('request', require('./dataRetrievers/request'));
+        // Built-in and user defined data retrievers
+        const dataRetriever = DataRetriever.create(options);
 
-        // Load user defined data retrievers
+        const uncached = [];
         options.dataRetrievers.forEach((dataRetrieverItem) => {
-            dataRetriever.register(dataRetrieverItem.handles, dataRetrieverItem.handler);
+            if (dataRetrieverItem.cache === false) {
+                uncached.push(...[].concat(dataRetrieverItem.handles));
+            }
+        });
+
+        // Validate the policies against the registered sources
+        const policySchema = PolicySchema.policy(Object.keys(dataRetriever.retrievers));
+        if (options.policy && typeof options.policy === 'object') {
+            PolicySchema.assert(options.policy, policySchema, 'RBAC global policy');
+        }
+
+        if (options.shadow && typeof options.shadow === 'object') {
+            PolicySchema.assert(options.shadow, policySchema, 'RBAC global shadow policy');
+        }
+
+        const policies = options.policies || {};
+        Object.keys(policies).forEach((id) => PolicySchema.assert(policies[id], policySchema, `RBAC policy ${id}`));
+
+        // Named policies, referenced from routes and policy sets
+        const registry = PolicyRegistry.create(policies);
+        let started = false;
+
+        // Lookups are memoized for the lifetime of each request
+        const requestRetriever = RetrieverCache.create(dataRetriever, uncached);
+
+        const audit = Audit.create(server, options.audit);
+
+        // Opt-in cache for dynamic policies
+        const cache = options.policyCache ? PolicyCache.create(options.policyCache) : null;
+
+        const fulfill = Obligations.create(server, options.obligations);
+
+        server.expose('invalidatePolicy', (key) => {
+            if (cache) {
+                cache.invalidate(key);
+            }
         });
 
-        server.ext('onPostAuth', internals.retrievePolicyHandler(dataRetriever, options));
+        /**
+         * Register or replace a named policy. After server start, the references are checked right away.
+         **/
+        server.expose('registerPolicy', (id, policy) => {
+            Joi.assert(id, schemas.policyId);
+            PolicySchema.assert(policy, policySchema, `RBAC policy ${id}`);
+
+            const previous = registry.get(id);
+            registry.add(id, policy);
+
+            if (!started) {
+                return;
+            }
+
+            try {
+                internals.validateRegistry(registry);
+            } catch (err) {
+                if (previous) {
+                    registry.add(id, previous);
+                } else {
+                    registry.remove(id);
+                }
+
+                throw err;
+            }
+        });
+
+        // Programmatic authorization, with the same data retrievers
+        const authorize = Authorization.create(registry, () => Object.keys(dataRetriever.retrievers));
+
+        server.expose('authorize', (policy, attributes) => authorize(policy, dataRetriever, attributes));
+
+        server.decorate('request', 'rbac', (request) => ({
+            authorize: (policy, attributes) => authorize(policy, requestRetriever(request), attributes)
+        }), { apply: true });
+
+        // Access decisions of every route, for a set of credentials
+        const permissions = Permissions.create(server, dataRetriever, registry, (route) => {
+            const settings = internals.routeSettings(route);
+
+            return {
+                configs: internals.policyConfigs(settings, options),
+                combine: (policies) => internals.combinePolicies(policies, internals.mergeAlgorithm(settings, options))
+            };
+        });
+
+        server.expose('permissions', permissions);
+
+        if (options.permissionsRoute) {
+            server.route({
+                method: 'GET',
+                path: options.permissionsRoute === true ? PERMISSIONS_PATH : options.permissionsRoute,
+                handler: (request) => permissions(request.auth.credentials),
+                options: {
+                    plugins: {
+                        // Everyone can list their own permissions
+                        rbac: CONFIG_NONE
+                    }
+                }
+            });
+        }
+
+        // Dry-run mode reports
+        const monitor = Monitor.create(server);
+
+        // Candidate policies, evaluated along with the enforced ones
+        const shadow = Shadow.create(server, requestRetriever, async (config, request) => registry.resolve(await internals.retrievePolicy(config, request, null)));
+
+        server.expose('monitorCounters', monitor.counters);
+
+        const context = { options, registry, requestRetriever, cache, fulfill, audit, monitor, shadow };
+        EXTENSION_POINTS.forEach((ext) => {
+            server.ext(ext, internals.retrievePolicyHandler(ext, context));
+        });
+
+        // Access control source of every route
+        const coverage = () => Coverage.report(server, (route) => internals.describeRoute(route, options));
+
+        server.expose('coverage', coverage);
+
+        server.ext('onPreStart', () => {
+            internals.validateRegistry(registry);
+            internals.staticPolicies(options.policy).forEach((policy) => registry.check(policy, 'RBAC global policy'));
+            internals.staticPolicies(options.shadow).forEach((policy) => registry.check(policy, 'RBAC global shadow policy'));
+            internals.validateRoutes(server, internals.routeSchema(policySchema), registry);
+            internals.checkPayloadTargets(server, options, registry);
+
+            const report = coverage();
+
+            if (options.coverage) {
+                server.log(options.coverage.tags || ['rbac', 'coverage'], report);
+            }
+
+            if (options.requirePolicy) {
+                internals.checkRequiredPolicies(report, options);
+            }
+
+            started = true;
+        });
+
+        // Field level policies, with their references resolved
+        const fields = (route) => {
+            const settings = internals.routeSettings(route).fields;
+            if (!settings) {
+                return settings;
+            }
+
+            return Object.keys(settings).reduce((resolved, name) => {
+                resolved[name] = registry.resolve(settings[name]);
+                return resolved;
+            }, {});
+        };
+
+        server.ext('onPreResponse', Redaction.handler(fields, requestRetriever));
     }
 };
 
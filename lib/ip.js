@@ -0,0 +1,124 @@
+'use strict';
+
+const Net = require('net');
+
+const internals = {};
+
+// IPv4 addresses are compared as IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+internals.IPV4_PREFIX = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff];
+
+internals.ranges = new Map();
+
+/**
+ * The 16 bytes of an IPv4 or IPv6 address, or null when it is not an IP address
+ **/
+exports.parse = (address) => {
+
+    if (typeof address !== 'string') {
+        return null;
+    }
+
+    // Zone index, e.g. fe80::1%eth0
+    address = address.split('%')[0];
+
+    const version = Net.isIP(address);
+    if (version === 4) {
+        return internals.IPV4_PREFIX.concat(address.split('.').map(Number));
+    }
+
+    if (version !== 6) {
+        return null;
+    }
+
+    // Embedded IPv4 address, e.g. ::ffff:10.0.0.1
+    address = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) => {
+
+        return ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+    });
+
+    const [head, tail] = address.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = left.concat(new Array(8 - left.length - right.length).fill('0'), right);
+
+    const bytes = [];
+    groups.forEach((group) => {
+
+        const value = parseInt(group, 16);
+        bytes.push(value >> 8, value & 0xff);
+    });
+
+    return bytes;
+};
+
+/**
+ * Parse a range in CIDR notation (e.g. '10.0.0.0/8' or 'fd00::/8'), or a single address. Null when it is invalid.
+ **/
+internals.range = (cidr) => {
+
+    if (internals.ranges.has(cidr)) {
+        return internals.ranges.get(cidr);
+    }
+
+    const [address, bits] = cidr.split('/');
+    const bytes = exports.parse(address);
+    let range = null;
+
+    if (bytes) {
+        const max = Net.isIPv4(address) ? 32 : 128;
+        const prefix = bits === undefined ? max : Number(bits);
+
+        if (/^\d+$/.test(bits === undefined ? '0' : bits) && prefix <= max) {
+            range = { bytes, prefix: prefix + 128 - max };
+        }
+    }
+
+    internals.ranges.set(cidr, range);
+    return range;
+};
+
+/**
+ * Whether the address is inside any of the ranges (a range in CIDR notation or an array of them)
+ **/
+exports.contains = (ranges, address) => {
+
+    const bytes = exports.parse(address);
+    if (!bytes) {
+        return false;
+    }
+
+    return [].concat(ranges).some((cidr) => {
+
+        const range = internals.range(cidr);
+        if (!range) {
+            return false;
+        }
+
+        for (let i = 0; i < range.prefix; ++i) {
+            const mask = 0x80 >> (i % 8);
+            if ((bytes[i >> 3] & mask) !== (range.bytes[i >> 3] & mask)) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+};
+
+/**
+ * Address of the client which sent the request.
+ *
+ * The X-Forwarded-For addresses are only used when the request comes from a trusted proxy. They are read from right
+ * to left, skipping the trusted proxies, so that a client can not fake its address by sending the header.
+ **/
+exports.client = (remoteAddress, forwardedFor, trustedProxies) => {
+
+    const forwarded = (forwardedFor || '').split(',').map((address) => address.trim()).filter((address) => address);
+
+    let address = remoteAddress;
+    while (forwarded.length && trustedProxies.length && exports.contains(trustedProxies, address)) {
+        address = forwarded.pop();
+    }
+
+    return address;
+};
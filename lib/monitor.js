@@ -0,0 +1,54 @@
+'use strict';
+
+const Hoek = require('hoek');
+const Evaluator = require('./evaluator');
+
+exports.EVENT = 'rbac:monitor';
+
+/**
+ * Create the function which reports the decisions of routes in monitor (dry-run) mode.
+ *
+ * Every decision is counted by route. The ones which would block the request (deny, undetermined or error)
+ * are emitted as a server event and logged on the request, with the 'rbac' and 'monitor' tags.
+ **/
+exports.create = (server) => {
+
+    server.event(exports.EVENT);
+
+    const counters = {};
+
+    const monitor = (request, decision) => {
+
+        const key = request.route.method + ' ' + request.route.path;
+        const name = decision instanceof Error ? 'error' : Evaluator.decisions[decision];
+
+        counters[key] = counters[key] || { permit: 0, deny: 0, undetermined: 0, error: 0 };
+        counters[key][name]++;
+
+        if (name === 'permit') {
+            return;
+        }
+
+        const record = {
+            timestamp: new Date().toISOString(),
+            route: request.route.path,
+            method: request.method,
+            decision: name,
+            trace: request.plugins.rbac ? request.plugins.rbac.trace : null
+        };
+
+        if (decision instanceof Error) {
+            record.error = decision.message;
+        }
+
+        request.log(['rbac', 'monitor'], record);
+        server.events.emit(exports.EVENT, record).catch((err) => request.log(['rbac', 'monitor', 'error'], err));
+    };
+
+    /**
+     * Decision counters by route (e.g. 'get /documents/{id}')
+     **/
+    monitor.counters = () => Hoek.clone(counters);
+
+    return monitor;
+};
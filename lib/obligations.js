@@ -0,0 +1,128 @@
+'use strict';
+
+const Hoek = require('hoek');
+const RbacCore = require('rbac-core');
+const Evaluator = require('./evaluator');
+
+const internals = {};
+
+/**
+ * Built-in obligation and advice handlers. Each receives the obligation (as defined in the policy) and the request.
+ **/
+internals.handlers = {};
+
+// { id: 'header', name: 'X-Reason', value: 'premium' } - Add a response header
+internals.handlers.header = (obligation, request) => {
+    Hoek.assert(obligation.name, 'Missing header name in obligation');
+
+    request.plugins.rbac.headers = request.plugins.rbac.headers || [];
+    request.plugins.rbac.headers.push(obligation);
+};
+
+// { id: 'log', tags: ['access'], message: '...' } - Write a request log entry
+internals.handlers.log = (obligation, request) => {
+    request.log(obligation.tags || ['rbac', 'obligation'], obligation.message);
+};
+
+// { id: 'app', key: 'premium', value: true } - Set a flag on request.app
+internals.handlers.app = (obligation, request) => {
+    Hoek.assert(obligation.key, 'Missing request.app key in obligation');
+
+    request.app[obligation.key] = obligation.value === undefined ? true : obligation.value;
+};
+
+/**
+ * Collect the obligations and advice of the trace nodes which contributed to the final decision:
+ * the nodes with the same result as their parents, down from the root.
+ *
+ * Obligations with `on` are only collected for that decision ('permit' or 'deny').
+ **/
+exports.collect = (trace) => {
+    const collected = { obligations: [], advice: [] };
+
+    if (trace.result !== RbacCore.PERMIT && trace.result !== RbacCore.DENY) {
+        return collected;
+    }
+
+    const effect = Evaluator.decisions[trace.result];
+
+    const visit = (node) => {
+        if (node.result !== trace.result) {
+            return;
+        }
+
+        ['obligations', 'advice'].forEach((kind) => {
+            (node[kind] || []).forEach((item) => {
+                if (!item.on || item.on === effect) {
+                    collected[kind].push(item);
+                }
+            });
+        });
+
+        (node.children || []).forEach(visit);
+    };
+
+    visit(trace);
+    return collected;
+};
+
+/**
+ * Create the function which fulfills the collected obligations and advice of a decision.
+ *
+ * It resolves to false as soon as an obligation has no handler or its handler fails, and then the advice is skipped.
+ * Advice failures are only logged.
+ **/
+exports.create = (server, handlers) => {
+    // In a Map, so that only the defined handlers are found (e.g. not 'constructor')
+    handlers = new Map(Object.entries(Object.assign({}, internals.handlers, handlers)));
+
+    // Headers added by obligations are set on the response, including error responses
+    server.ext('onPreResponse', (request, h) => {
+        const headers = request.plugins.rbac && request.plugins.rbac.headers;
+        if (headers) {
+            const response = request.response;
+            headers.forEach((header) => {
+                if (response.isBoom) {
+                    response.output.headers[header.name] = header.value;
+                }
+                else {
+                    response.header(header.name, header.value);
+                }
+            });
+        }
+
+        return h.continue;
+    });
+
+    const run = async (item, request) => {
+        const handler = handlers.get(item.id);
+        if (!handler) {
+            throw new Error('No handler for obligation: ' + item.id);
+        }
+
+        await handler(item, request);
+    };
+
+    return async (request, collected) => {
+        for (const obligation of collected.obligations) {
+            try {
+                await run(obligation, request);
+            }
+            catch (err) {
+                request.log(['rbac', 'obligation', 'error'], err);
+                return false;
+            }
+        }
+
+        for (const advice of collected.advice) {
+            try {
+                await run(advice, request);
+            }
+            catch (err) {
+                request.log(['rbac', 'advice', 'error'], err);
+            }
+        }
+
+        return true;
+    };
+};
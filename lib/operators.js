@@ -0,0 +1,117 @@
+'use strict';
+
+const Ip = require('./ip');
+
+const internals = {};
+
+internals.NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Coerce a retrieved value to the type of the operand, as params, query and headers are always strings:
+ *
+ *   - Number operands: numeric strings are converted to numbers ('18' -> 18), other strings never match
+ *   - Boolean operands: 'true' and 'false' are converted to booleans
+ *   - String operands: retrieved numbers and booleans are not converted, and never match
+ *
+ * With $ignoreCase, strings are compared in lower case.
+ **/
+internals.coerce = (value, operand, ignoreCase) => {
+
+    if (typeof operand === 'number' && typeof value === 'string') {
+        return internals.NUMERIC.test(value) ? Number(value) : undefined;
+    }
+
+    if (typeof operand === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+
+    if (ignoreCase && typeof value === 'string') {
+        return value.toLowerCase();
+    }
+
+    return value;
+};
+
+internals.operand = (operand, ignoreCase) => {
+
+    if (ignoreCase && typeof operand === 'string') {
+        return operand.toLowerCase();
+    }
+
+    return operand;
+};
+
+internals.equals = (value, operand, ignoreCase) => internals.coerce(value, operand, ignoreCase) === internals.operand(operand, ignoreCase);
+
+// Ordered comparisons only between numbers, or between strings
+internals.compare = (value, operand, ignoreCase, compare) => {
+
+    value = internals.coerce(value, operand, ignoreCase);
+    operand = internals.operand(operand, ignoreCase);
+
+    return typeof value === typeof operand && compare(value, operand);
+};
+
+/**
+ * Operators which test a single retrieved value. Arrays of values match when any of them matches all the operators.
+ **/
+internals.positive = {
+    $eq: (value, operand, ignoreCase) => internals.equals(value, operand, ignoreCase),
+    $gt: (value, operand, ignoreCase) => internals.compare(value, operand, ignoreCase, (a, b) => a > b),
+    $gte: (value, operand, ignoreCase) => internals.compare(value, operand, ignoreCase, (a, b) => a >= b),
+    $lt: (value, operand, ignoreCase) => internals.compare(value, operand, ignoreCase, (a, b) => a < b),
+    $lte: (value, operand, ignoreCase) => internals.compare(value, operand, ignoreCase, (a, b) => a <= b),
+    $between: (value, operand, ignoreCase) => internals.positive.$gte(value, operand[0], ignoreCase) && internals.positive.$lte(value, operand[1], ignoreCase),
+    $in: (value, operand, ignoreCase) => operand.some((item) => internals.equals(value, item, ignoreCase)),
+    $startsWith: (value, operand, ignoreCase) => typeof value === 'string' && internals.coerce(value, operand, ignoreCase).startsWith(internals.operand(operand, ignoreCase)),
+    $cidr: (value, operand) => Ip.contains(operand, value)
+};
+
+/**
+ * Operators which no retrieved value can match
+ **/
+internals.negative = {
+    $ne: (value, operand, ignoreCase) => internals.equals(value, operand, ignoreCase),
+    $nin: (value, operand, ignoreCase) => internals.positive.$in(value, operand, ignoreCase)
+};
+
+exports.names = Object.keys(internals.positive).concat(Object.keys(internals.negative), ['$exists', '$ignoreCase']);
+
+/**
+ * Whether a target value is an operator object, e.g. { $gte: 18 }: an object with only operator keys
+ **/
+exports.isOperator = (value) => {
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof RegExp) {
+        return false;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every((key) => key[0] === '$');
+};
+
+/**
+ * Whether the retrieved value (or array of values) matches all the operators. Undefined and null values do not exist.
+ **/
+exports.matches = (operators, value) => {
+
+    const values = value === undefined || value === null ? [] : [].concat(value);
+    const ignoreCase = !!operators.$ignoreCase;
+    const names = Object.keys(operators);
+
+    if ('$exists' in operators && operators.$exists !== values.length > 0) {
+        return false;
+    }
+
+    const negative = names.filter((name) => internals.negative[name]);
+    if (negative.some((name) => values.some((item) => internals.negative[name](item, operators[name], ignoreCase)))) {
+        return false;
+    }
+
+    const positive = names.filter((name) => internals.positive[name]);
+    if (!positive.length) {
+        return true;
+    }
+
+    return values.some((item) => positive.every((name) => internals.positive[name](item, operators[name], ignoreCase)));
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const Evaluator = require('./evaluator');
+const PolicyWalker = require('./policy-walker');
+const Scopes = require('./scopes');
+
+const internals = {};
+
+// Sources whose values only depend on the credentials. Any other source (built-in or user defined) may need the request
+internals.credentialSources = ['credentials', 'role', 'permission', 'scope'];
+
+/**
+ * Synthetic request context for the data retrievers, with the credentials only
+ **/
+internals.context = (route, credentials) => ({
+    auth: { credentials, isAuthenticated: !!credentials },
+    method: route.method,
+    path: route.path,
+    route,
+    params: {},
+    query: {},
+    headers: {},
+    state: {},
+    info: {}
+});
+
+internals.isConditional = (configs, policy) => {
+    if (configs.some((config) => config instanceof Function)) {
+        return true;
+    }
+
+    return PolicyWalker.targetKeys(policy).some((key) => {
+        const source = PolicyWalker.source(key);
+
+        // Required scopes with references (e.g. 'scope:articles:{params.id}:read') are interpolated from the request
+        return internals.credentialSources.indexOf(source) === -1 || (source === 'scope' && Scopes.references(key).length > 0);
+    });
+};
+
+/**
+ * Create the function which lists the access decision of every route for a set of credentials:
+ *
+ * async (credentials) => ({ '/documents/{id}': { get: 'permit', delete: 'conditional' } })
+ *
+ * routePolicy(route) returns the policy configurations of a route and the function which combines them.
+ * Routes whose policies may depend on the request (dynamic policies, or targets on any source other than
+ * credentials, role, permission and scopes without references) are 'conditional'.
+ * Routes without policies are 'permit'.
+ **/
+exports.create = (server, dataRetriever, registry, routePolicy) =>
+    async (credentials) => {
+        const routes = server.table();
+        const decisions = await Promise.all(routes.map((route) => internals.decide(server, dataRetriever, registry, routePolicy(route), route, credentials)));
+
+        const permissions = {};
+        routes.forEach((route, index) => {
+            permissions[route.path] = permissions[route.path] || {};
+            permissions[route.path][route.method] = decisions[index];
+        });
+
+        return permissions;
+    };
+
+internals.decide = async (server, dataRetriever, registry, { configs, combine }, route, credentials) => {
+    if (!configs.length) {
+        return 'permit';
+    }
+
+    const policy = configs.some((config) => config instanceof Function) ? null : registry.resolve(combine(configs));
+    if (internals.isConditional(configs, policy)) {
+        return 'conditional';
+    }
+
+    try {
+        const trace = await Evaluator.evaluate(policy, dataRetriever.createChild(internals.context(route, credentials)));
+        return Evaluator.decisions[trace.result];
+    }
+    catch (err) {
+        server.log(['rbac', 'permissions', 'error'], err);
+        return 'undetermined';
+    }
+};
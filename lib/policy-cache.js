@@ -0,0 +1,75 @@
+'use strict';
+
+const Hoek = require('hoek');
+
+const internals = {};
+
+internals.defaults = {
+    ttl: 60000,
+    max: 1000,
+    key: (request) => [request.route.settings.id || '', request.route.method, request.route.path].join('|')
+};
+
+/**
+ * Cache for the policies returned by dynamic policy retriever functions.
+ *
+ * Each key holds the policies of the retriever functions used with it (e.g. the global and the route functions, when merged).
+ * Entries hold the retrieval promise, so that concurrent requests for the same key share a single lookup.
+ * When the cache is full, the oldest key is dropped.
+ **/
+exports.create = (options) => {
+
+    const settings = Hoek.applyToDefaults(internals.defaults, options);
+    const entries = new Map();
+
+    const cache = {};
+
+    cache.get = (request, retriever) => {
+
+        const key = settings.key(request);
+        let policies = entries.get(key);
+
+        const entry = policies && policies.get(retriever);
+        if (entry && entry.expires > Date.now()) {
+            return entry.policy;
+        }
+
+        if (!policies) {
+            if (entries.size >= settings.max) {
+                entries.delete(entries.keys().next().value);
+            }
+
+            policies = new Map();
+            entries.set(key, policies);
+        }
+
+        const policy = Promise.resolve().then(() => retriever(request));
+        policies.set(retriever, { policy, expires: Date.now() + settings.ttl });
+
+        // Failed lookups are not cached
+        policy.catch(() => {
+
+            const current = policies.get(retriever);
+            if (current && current.policy === policy) {
+                policies.delete(retriever);
+            }
+        });
+
+        return policy;
+    };
+
+    /**
+     * Drop a single key, or every entry when no key is given
+     **/
+    cache.invalidate = (key) => {
+
+        if (key === undefined) {
+            entries.clear();
+        }
+        else {
+            entries.delete(key);
+        }
+    };
+
+    return cache;
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const Boom = require('boom');
+
+const internals = {};
+
+/**
+ * Registry of named policies.
+ *
+ * Policies are referenced by id from the route configuration (e.g. rbac: 'owner-or-admin') and
+ * from policy sets, with { ref: 'admin-only' } items (like XACML PolicyIdReference).
+ *
+ * References are resolved right before evaluation, so that policies registered at runtime replace the previous ones.
+ **/
+exports.create = (policies) => {
+
+    const named = new Map();
+    let resolved = new WeakMap();
+
+    const registry = {};
+
+    registry.add = (id, policy) => {
+
+        named.set(id, policy);
+
+        // Resolved policies may include the replaced one
+        resolved = new WeakMap();
+    };
+
+    registry.remove = (id) => {
+
+        named.delete(id);
+        resolved = new WeakMap();
+    };
+
+    registry.get = (id) => named.get(id);
+
+    registry.ids = () => Array.from(named.keys());
+
+    /**
+     * Copy of the policy with every reference replaced by the registered policy. A string is the id of a policy.
+     *
+     * Throws when a reference is unknown or circular.
+     **/
+    registry.resolve = (item) => internals.resolve(named, resolved, item, []);
+
+    /**
+     * Check that every reference in the policy can be resolved, throwing an error with the given description otherwise
+     **/
+    registry.check = (item, description) => {
+
+        try {
+            registry.resolve(item);
+        }
+        catch (err) {
+            throw new Error('Invalid ' + description + ': ' + err.message);
+        }
+    };
+
+    Object.keys(policies || {}).forEach((id) => registry.add(id, policies[id]));
+
+    return registry;
+};
+
+internals.resolve = (named, resolved, item, stack) => {
+
+    if (typeof item === 'string') {
+        return internals.resolve(named, resolved, { ref: item }, stack);
+    }
+
+    if (!item || typeof item !== 'object') {
+        return item;
+    }
+
+    if (item.ref !== undefined) {
+        if (stack.indexOf(item.ref) !== -1) {
+            throw Boom.badImplementation('Circular policy reference: ' + stack.concat(item.ref).join(' -> '));
+        }
+
+        if (!named.has(item.ref)) {
+            throw Boom.badImplementation('Unknown policy reference: ' + item.ref);
+        }
+
+        return internals.resolve(named, resolved, named.get(item.ref), stack.concat(item.ref));
+    }
+
+    if (!item.policies) {
+        return item;
+    }
+
+    // Registered policies resolve to the same copy, until the registry changes
+    if (resolved.has(item)) {
+        return resolved.get(item);
+    }
+
+    const copy = Object.assign({}, item, {
+        policies: item.policies.map((policy) => internals.resolve(named, resolved, policy, stack))
+    });
+
+    resolved.set(item, copy);
+    return copy;
+};
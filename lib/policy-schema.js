@@ -0,0 +1,139 @@
+'use strict';
+
+const Joi = require('joi');
+const Hoek = require('hoek');
+const Evaluator = require('./evaluator');
+const Operators = require('./operators');
+
+const internals = {};
+
+/**
+ * Schema of policy sets, policies and rules, for the given data retriever sources.
+ *
+ * Target keys must have one of the sources as prefix (e.g. 'credentials:group'), or no prefix (credentials).
+ **/
+exports.policy = (sources) => {
+
+    const keyPattern = internals.keyPattern(sources);
+
+    // A target value can reference another key: { field: 'credentials:username' }
+    // or require a scope: { scope: 'articles:{params.id}:read' }
+    // or use operators: { $gte: 18 }
+    const value = Joi.any().when(Joi.object({ field: Joi.exist() }).unknown(), {
+        then: Joi.object({ field: Joi.string().regex(keyPattern, 'target key').required() })
+    }).when(Joi.object({ scope: Joi.exist() }).unknown(), {
+        then: Joi.object({ scope: Joi.string().min(1).required() })
+    }).when(Joi.object().pattern(/^\$/, Joi.any()).min(1), {
+        then: internals.operators
+    }).when(Joi.object().or(Operators.names).unknown(), {
+        then: internals.operators
+    });
+
+    // Keys without a registered source are reported as not allowed
+    const element = Joi.object().pattern(keyPattern, value);
+
+    const target = Joi.alternatives().when(Joi.array(), {
+        then: Joi.array().items(element).min(1),
+        otherwise: element
+    });
+
+    const obligation = Joi.object({
+        id: Joi.string().min(1).required(),
+        on: Joi.string().valid('permit', 'deny').optional()
+    }).unknown(true);
+
+    const common = {
+        id: Joi.string().optional(),
+        description: Joi.string().optional(),
+        target: target.optional(),
+        obligations: Joi.array().items(obligation).optional(),
+        advice: Joi.array().items(obligation).optional()
+    };
+
+    const rule = Joi.object(Object.assign({
+        effect: Joi.string().valid('permit', 'deny').required()
+    }, common));
+
+    const apply = Joi.string().valid(Evaluator.algorithms).optional();
+
+    const policy = Joi.object(Object.assign({
+        apply,
+        rules: Joi.array().items(rule).required()
+    }, common));
+
+    const policySet = Joi.object(Object.assign({
+        apply,
+        policies: Joi.array().items(Joi.lazy(() => item)).required()
+    }, common));
+
+    // Reference to a named policy
+    const reference = Joi.object({
+        ref: Joi.string().min(1).required()
+    });
+
+    const item = Joi.alternatives().when(Joi.object({ ref: Joi.exist() }).unknown(), {
+        then: reference,
+        otherwise: Joi.alternatives().when(Joi.object({ policies: Joi.exist() }).unknown(), {
+            then: policySet,
+            otherwise: Joi.alternatives().when(Joi.object({ rules: Joi.exist() }).unknown(), {
+                then: policy,
+                otherwise: rule
+            })
+        })
+    });
+
+    return item;
+};
+
+/**
+ * Operator target values: { $gte: 18 }, { $in: ['draft', 'review'], $ignoreCase: true }, ...
+ **/
+internals.comparable = Joi.alternatives().try(Joi.number(), Joi.string());
+
+internals.cidr = Joi.string().ip({ cidr: 'optional' });
+
+internals.operators = Joi.object({
+    $eq: Joi.any(),
+    $ne: Joi.any(),
+    $gt: internals.comparable,
+    $gte: internals.comparable,
+    $lt: internals.comparable,
+    $lte: internals.comparable,
+    $between: Joi.array().ordered(internals.comparable.required(), internals.comparable.required()),
+    $in: Joi.array(),
+    $nin: Joi.array(),
+    $exists: Joi.boolean(),
+    $startsWith: Joi.string(),
+    $cidr: Joi.alternatives().try(internals.cidr, Joi.array().items(internals.cidr).min(1)),
+    $ignoreCase: Joi.boolean()
+}).or(Operators.names.filter((name) => name !== '$ignoreCase'));
+
+internals.keyPattern = (sources) => {
+
+    const names = sources.map((source) => Hoek.escapeRegex(source)).join('|');
+    return new RegExp('^(?:(?:' + names + '):.+|[^:]+)$');
+};
+
+/**
+ * Validate a policy (or route options), throwing an error with the path to the invalid node
+ * (e.g. 'policies[0].rules[1].effect').
+ **/
+exports.assert = (value, schema, description) => {
+
+    const result = Joi.validate(value, schema);
+    if (!result.error) {
+        return;
+    }
+
+    const detail = result.error.details[0];
+    const path = detail.path.reduce((current, segment) => {
+
+        if (typeof segment === 'number') {
+            return current + '[' + segment + ']';
+        }
+
+        return current ? current + '.' + segment : segment;
+    }, '');
+
+    throw new Error('Invalid ' + description + (path ? ' at ' + path : '') + ': ' + detail.message);
+};
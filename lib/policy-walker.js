@@ -0,0 +1,65 @@
+'use strict';
+
+const Scopes = require('./scopes');
+
+/**
+ * Source of a target key (e.g. 'credentials' for 'credentials:username').
+ * Keys without source are retrieved from the credentials.
+ **/
+exports.source = (key) => {
+
+    return key.indexOf(':') === -1 ? 'credentials' : key.split(':')[0];
+};
+
+/**
+ * Visit a policy set, policy or rule and all the policies and rules inside it
+ **/
+exports.walk = (item, visit) => {
+
+    if (!item || typeof item !== 'object') {
+        return;
+    }
+
+    visit(item);
+
+    [].concat(item.policies || [], item.rules || []).forEach((child) => exports.walk(child, visit));
+};
+
+/**
+ * All the keys used in the targets of a policy, including the ones referenced by { field } values
+ * and by required scopes (e.g. 'params:id' for 'scope:articles:{params.id}:read')
+ **/
+exports.targetKeys = (item) => {
+
+    const keys = [];
+
+    exports.walk(item, (node) => {
+
+        if (!node.target) {
+            return;
+        }
+
+        [].concat(node.target).forEach((element) => {
+
+            Object.keys(element || {}).forEach((key) => {
+
+                keys.push(key);
+
+                if (exports.source(key) === 'scope') {
+                    keys.push(...Scopes.references(key));
+                }
+
+                const value = element[key];
+                if (value && typeof value === 'object' && value.field) {
+                    keys.push(value.field);
+                }
+
+                if (value && typeof value === 'object' && typeof value.scope === 'string') {
+                    keys.push(...Scopes.references(value.scope));
+                }
+            });
+        });
+    });
+
+    return keys;
+};
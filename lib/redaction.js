@@ -0,0 +1,87 @@
+'use strict';
+
+const RbacCore = require('rbac-core');
+const Evaluator = require('./evaluator');
+
+const internals = {};
+
+/**
+ * Copy of the object without the field at the given path (e.g. 'profile.email').
+ * Arrays along the path are traversed, so that 'items.email' is removed from every item.
+ * Only the objects and arrays along the path are copied.
+ **/
+internals.omit = (object, path) => {
+    if (Array.isArray(object)) {
+        return object.map((item) => internals.omit(item, path));
+    }
+
+    if (!object || typeof object !== 'object') {
+        return object;
+    }
+
+    const [field, ...rest] = path;
+    if (!Object.prototype.hasOwnProperty.call(object, field)) {
+        return object;
+    }
+
+    const copy = Object.assign({}, object);
+    if (rest.length) {
+        copy[field] = internals.omit(object[field], rest);
+    }
+    else {
+        delete copy[field];
+    }
+
+    return copy;
+};
+
+internals.redact = (source, paths) => paths.reduce((object, path) => internals.omit(object, path), source);
+
+/**
+ * onPreResponse handler which removes the fields whose policy does not permit from object and array payloads.
+ *
+ * The field policies are defined in the route options:
+ *
+ * {
+ *   fields: {
+ *     email: { ... policy ... },
+ *     'profile.salary': { ... policy ... }
+ *   }
+ * }
+ **/
+exports.handler = (getFields, requestRetriever) =>
+    async (request, h) => {
+        const fields = getFields(request.route);
+        const response = request.response;
+
+        // Only plain object and array payloads (no errors, buffers or streams)
+        if (!fields || response.isBoom || response.variety !== 'plain' || !response.source || typeof response.source !== 'object') {
+            return h.continue;
+        }
+
+        const names = Object.keys(fields);
+        const traces = await Promise.all(names.map((name) =>
+            Evaluator.evaluate(fields[name], requestRetriever(request)).catch((err) => {
+                // Fields are hidden when their policy can not be evaluated
+                request.log(['rbac', 'redaction', 'error'], err);
+                return null;
+            })));
+
+        request.plugins.rbac = request.plugins.rbac || {};
+        request.plugins.rbac.fields = {};
+
+        const hidden = [];
+        names.forEach((name, index) => {
+            request.plugins.rbac.fields[name] = traces[index];
+
+            if (!traces[index] || traces[index].result !== RbacCore.PERMIT) {
+                hidden.push(name.split('.'));
+            }
+        });
+
+        if (hidden.length) {
+            response.source = internals.redact(response.source, hidden);
+        }
+
+        return h.continue;
+    };
@@ -0,0 +1,45 @@
+'use strict';
+
+const PolicyWalker = require('./policy-walker');
+
+/**
+ * Per request memoization of data retriever lookups.
+ *
+ * Returns a function (request) => DataRetrievalRouter, which always gives the same child router for the same request.
+ * Each key is resolved at most once by that child, unless its source is listed in `uncached`.
+ **/
+exports.create = (dataRetriever, uncached) => {
+
+    const children = new WeakMap();
+
+    return (request) => {
+
+        if (children.has(request)) {
+            return children.get(request);
+        }
+
+        const child = dataRetriever.createChild(request);
+        const get = child.get;
+        const values = new Map();
+
+        child.get = function (key, context) {
+            // Lookups with another context (children of this router pass the request) or from sources which opted out are not memoized
+            if ((context && context !== request) || uncached.indexOf(PolicyWalker.source(key)) !== -1) {
+                return get.call(this, key, context);
+            }
+
+            if (!values.has(key)) {
+                const value = get.call(this, key);
+
+                // Failed lookups are retried on next use
+                value.catch(() => values.delete(key));
+                values.set(key, value);
+            }
+
+            return values.get(key);
+        };
+
+        children.set(request, child);
+        return child;
+    };
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const Hoek = require('hoek');
+
+const internals = {};
+
+/**
+ * Role hierarchy, defined as { admin: { parents: ['editor'], permissions: ['users.manage'] }, editor: { ... } }.
+ *
+ * A role inherits the permissions of its parents, transitively. Throws on unknown parents and on cycles.
+ * Role names are kept in Maps, as they can be any string (e.g. 'constructor').
+ *
+ * Returns a function (context) => { roles: Set, permissions: Set } with the effective roles and permissions
+ * of the credentials in the context (the request), under credentials[key]. It is computed once per context.
+ **/
+exports.create = (options, key) => {
+
+    const definitions = new Map(Object.keys(options).map((role) => [role, options[role]]));
+
+    definitions.forEach((definition, role) => {
+
+        (definition.parents || []).forEach((parent) => {
+
+            if (!definitions.has(parent)) {
+                throw new Error('Unknown parent role ' + parent + ' of role ' + role);
+            }
+        });
+    });
+
+    // Each role expanded to itself and all its ancestors
+    const ancestors = new Map();
+    definitions.forEach((definition, role) => internals.expand(role, definitions, ancestors, []));
+
+    const expanded = new WeakMap();
+
+    return (context) => {
+
+        if (!context) {
+            return { roles: new Set(), permissions: new Set() };
+        }
+
+        if (expanded.has(context)) {
+            return expanded.get(context);
+        }
+
+        const roles = new Set();
+        const permissions = new Set();
+
+        [].concat(Hoek.reach(context, 'auth.credentials.' + key) || []).forEach((role) => {
+            // Roles without definition have no parents nor permissions
+            (ancestors.get(role) || [role]).forEach((name) => {
+
+                roles.add(name);
+
+                const definition = definitions.get(name);
+                ((definition && definition.permissions) || []).forEach((permission) => permissions.add(permission));
+            });
+        });
+
+        const result = { roles, permissions };
+        expanded.set(context, result);
+        return result;
+    };
+};
+
+internals.expand = (role, definitions, ancestors, stack) => {
+
+    if (ancestors.has(role)) {
+        return ancestors.get(role);
+    }
+
+    if (stack.indexOf(role) !== -1) {
+        throw new Error('Circular role inheritance: ' + stack.slice(stack.indexOf(role)).concat(role).join(' -> '));
+    }
+
+    const result = new Set([role]);
+    (definitions.get(role).parents || []).forEach((parent) => {
+
+        internals.expand(parent, definitions, ancestors, stack.concat(role)).forEach((name) => result.add(name));
+    });
+
+    ancestors.set(role, Array.from(result));
+    return ancestors.get(role);
+};
+
+/**
+ * Data retriever handlers for the role and permission sources, e.g. 'role:editor' and 'permission:articles.publish'.
+ * Both retrieve true when the role or permission is effective, false otherwise.
+ **/
+exports.handlers = (effective) => ({
+    role: (source, key, context) => effective(context).roles.has(key),
+    permission: (source, key, context) => effective(context).permissions.has(key)
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const internals = {};
+
+internals.SEPARATOR = ':';
+internals.WILDCARD = '*';
+
+// References to retrieved values in a required scope, e.g. {params.id}
+internals.reference = /\{([^{}]+)\}/g;
+
+/**
+ * Whether a granted scope satisfies a required one. Scopes are split in segments by ':'.
+ *
+ *   - A '*' segment of the granted scope matches any single segment ('articles:*:read' grants 'articles:123:read')
+ *   - A granted scope grants every scope below it ('orgs:42' grants 'orgs:42:admin')
+ **/
+exports.grants = (granted, required) => {
+    if (typeof granted !== 'string' || typeof required !== 'string') {
+        return false;
+    }
+
+    const grantedSegments = granted.split(internals.SEPARATOR);
+    const requiredSegments = required.split(internals.SEPARATOR);
+
+    if (grantedSegments.length > requiredSegments.length) {
+        return false;
+    }
+
+    return grantedSegments.every((segment, index) => segment === internals.WILDCARD || segment === requiredSegments[index]);
+};
+
+/**
+ * The target keys referenced by a required scope (e.g. 'params:id' for 'articles:{params.id}:read')
+ **/
+exports.references = (pattern) => {
+    const keys = [];
+    pattern.replace(internals.reference, (match, reference) => keys.push(reference.replace('.', ':')));
+    return keys;
+};
+
+/**
+ * Replace the references of a required scope by the retrieved values.
+ *
+ * Resolves null when a value is missing or would change the scope segments (it is empty, or has ':' or '*'),
+ * so that the scope is never granted.
+ **/
+exports.interpolate = async (pattern, dataRetriever, context) => {
+    const values = await Promise.all(exports.references(pattern).map((key) => dataRetriever.get(key, context)));
+
+    if (!values.every(internals.isSegment)) {
+        return null;
+    }
+
+    let index = 0;
+    return pattern.replace(internals.reference, () => String(values[index++]));
+};
+
+internals.isSegment = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return false;
+    }
+
+    value = String(value);
+    return value.length > 0 && value.indexOf(internals.SEPARATOR) === -1 && value.indexOf(internals.WILDCARD) === -1;
+};
+
+/**
+ * Data retriever handler of the scope source, e.g. 'scope:articles:{params.id}:read'.
+ * Retrieves true when any scope of the credentials (credentials.scope) grants the required one, false otherwise.
+ **/
+exports.handler = (dataRetriever) =>
+    async (source, key, context) => {
+        const [required, granted] = await Promise.all([
+            exports.interpolate(key, dataRetriever, context),
+            dataRetriever.get('credentials:scope', context)
+        ]);
+
+        return required !== null && [].concat(granted || []).some((scope) => exports.grants(scope, required));
+    };
@@ -0,0 +1,53 @@
+'use strict';
+
+const RbacCore = require('rbac-core');
+const Evaluator = require('./evaluator');
+
+exports.EVENT = 'rbac:shadow';
+
+/**
+ * Create the function which evaluates a shadow (candidate) policy after the enforced decision of a request.
+ *
+ * The shadow policy is evaluated for a fraction (rate) of the requests, on a later tick, so that it never changes
+ * the response nor delays it. When one of the decisions is permit and the other is not, both are emitted as a server event,
+ * with their traces. Shadow errors are only logged, with the 'rbac', 'shadow' and 'error' tags.
+ *
+ * retrieve(config, request) returns the shadow policy (it can be a dynamic policy function or a named policy).
+ **/
+exports.create = (server, requestRetriever, retrieve) => {
+    server.event(exports.EVENT);
+
+    const evaluate = async (request, config, enforced) => {
+        const policy = await retrieve(config, request);
+        if (!policy) {
+            return;
+        }
+
+        const trace = await Evaluator.evaluate(policy, requestRetriever(request));
+        if ((trace.result === RbacCore.PERMIT) === (enforced === RbacCore.PERMIT)) {
+            return;
+        }
+
+        await server.events.emit(exports.EVENT, {
+            timestamp: new Date().toISOString(),
+            route: request.route.path,
+            method: request.method,
+            enforced: Evaluator.decisions[enforced],
+            shadow: Evaluator.decisions[trace.result],
+            traces: {
+                enforced: request.plugins.rbac.trace,
+                shadow: trace
+            }
+        });
+    };
+
+    return (request, config, rate, enforced) => {
+        if (!config || Math.random() >= rate) {
+            return;
+        }
+
+        setImmediate(() => {
+            evaluate(request, config, enforced).catch((err) => request.log(['rbac', 'shadow', 'error'], err));
+        });
+    };
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const Analyzer = require('../lib/analyzer');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const types = (findings) => findings.map((finding) => finding.type + ' ' + finding.path);
+
+/**
+ * Static analysis of policies
+ **/
+experiment('Policy analyzer', () => {
+
+    test('should report rules after an unconditional rule under first-applicable', () => {
+
+        const findings = Analyzer.analyze({
+            apply: 'first-applicable',
+            rules: [
+                { target: { 'credentials:group': 'admin' }, effect: 'permit' },
+                { effect: 'deny' },
+                { target: { 'credentials:group': 'writer' }, effect: 'permit' },
+                { effect: 'permit' }
+            ]
+        });
+
+        expect(types(findings)).to.equal(['unreachable rules[2]', 'unreachable rules[3]', 'conflict rules[1]']);
+        expect(findings[0].message).to.equal('rules[2] is unreachable: rules[1] always applies under first-applicable');
+    });
+
+    test('should report policies after a policy which never yields undetermined', () => {
+
+        const findings = Analyzer.analyze({
+            apply: 'first-applicable',
+            policies: [
+                { apply: 'permit-unless-deny', rules: [{ target: { 'credentials:blocked': true }, effect: 'deny' }] },
+                { rules: [{ effect: 'permit' }] }
+            ]
+        });
+
+        expect(types(findings)).to.equal(['unreachable policies[1]']);
+
+        // Without first-applicable, every child is evaluated
+        expect(Analyzer.analyze({ rules: [{ effect: 'permit' }, { target: { 'credentials:blocked': true }, effect: 'deny' }] })).to.have.length(0);
+    });
+
+    test('should report permit and deny rules with identical targets', () => {
+
+        const findings = Analyzer.analyze({
+            policies: [
+                {
+                    rules: [
+                        { target: [{ 'credentials:group': 'writer', 'param:id': /^\d+$/ }, { group: 'admin' }], effect: 'permit' },
+                        { target: [{ 'credentials:group': 'admin' }, { 'params:id': /^\d+$/, group: 'writer' }], effect: 'deny' },
+                        { target: { 'credentials:group': 'writer' }, effect: 'deny' }
+                    ]
+                }
+            ]
+        });
+
+        expect(types(findings)).to.equal(['conflict policies[0].rules[1]']);
+        expect(findings[0].message).to.equal('policies[0].rules[1] denies with the same target as policies[0].rules[0], which permits');
+    });
+
+    test('should report targets with contradictory keys', () => {
+
+        const findings = Analyzer.analyze({
+            target: { 'request:method': 'get', 'credentials:premium': true },
+            policies: [
+                {
+                    target: [{ 'request:method': 'post' }, { 'request:method': /^(put|delete)$/ }],
+                    rules: [{ effect: 'permit' }]
+                },
+                {
+                    target: [{ 'request:method': 'post' }, { 'request:method': /^g/ }],
+                    rules: [{ effect: 'permit' }]
+                },
+                {
+                    rules: [
+                        { target: { 'param:id': '1', 'params:id': '2' }, effect: 'permit' },
+                        { target: { premium: false }, effect: 'permit' },
+                        { target: { 'credentials:group': 'admin' }, effect: 'permit' }
+                    ]
+                }
+            ]
+        });
+
+        expect(types(findings)).to.equal([
+            'contradictory-target policies[0]',
+            'contradictory-target policies[2].rules[0]',
+            'contradictory-target policies[2].rules[1]'
+        ]);
+        expect(findings[0].message).to.equal('Target of policies[0] can never match: contradictory values for request:method');
+    });
+
+    test('should not report different values of keys which can have many values', () => {
+
+        expect(Analyzer.analyze({
+            target: { 'credentials:group': 'admin' },
+            rules: [{ target: { 'credentials:group': 'writer' }, effect: 'permit' }]
+        })).to.have.length(0);
+    });
+
+    test('should report empty rules and policies arrays', () => {
+
+        const findings = Analyzer.analyze({
+            policies: [
+                { rules: [] },
+                { apply: 'deny-unless-permit', policies: [] }
+            ]
+        });
+
+        expect(types(findings)).to.equal(['empty policies[0]', 'empty policies[1]']);
+        expect(findings[0].message).to.equal('Empty rules in policies[0]: it always yields undetermined');
+        expect(findings[1].message).to.equal('Empty policies in policies[1]: it always yields deny');
+
+        expect(Analyzer.analyze({ rules: [] })[0].message).to.equal('Empty rules in (root): it always yields undetermined');
+    });
+
+    test('should ignore references to named policies', () => {
+
+        expect(Analyzer.analyze({ apply: 'first-applicable', policies: [{ ref: 'admin-only' }, { ref: 'readers' }] })).to.have.length(0);
+    });
+});
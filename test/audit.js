@@ -0,0 +1,264 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const after = lab.after;
+
+const expect = Code.expect;
+
+/**
+ * Audit records of access decisions
+ **/
+experiment('RBAC decision audit', () => {
+
+    let server;
+    const file = Path.join(Os.tmpdir(), 'hapi-rbac-audit-' + process.pid + '.jsonl');
+    const events = [];
+    const logs = [];
+    const custom = [];
+
+    before(async () => {
+        const users = {};
+
+        users.user1 = {
+            'username': 'user1',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        users.user2 = {
+            'username': 'user2',
+            'password': 'pwtest',
+            'group': ['writer']
+        };
+
+        server = await createServer(users, {
+            policy: {
+                target: {'credentials:group': 'reader'},
+                apply: 'permit-overrides',
+                rules: [
+                    {
+                        'effect': 'permit'
+                    }
+                ]
+            },
+            audit: {
+                identifier: 'username',
+                sinks: [
+                    {type: 'log', tags: ['audit']},
+                    {type: 'file', path: file},
+                    (record) => custom.push(record)
+                ]
+            }
+        });
+
+        server.events.on('rbac:decision', (record) => events.push(record));
+        server.events.on({name: 'request', channels: 'app', filter: 'audit'}, (request, event) => logs.push(event.data));
+
+        server.route({
+            method: 'GET',
+            path: '/global',
+            handler: (request, h) => h.response({ok: true})
+        });
+
+        server.route({
+            method: 'POST',
+            path: '/route',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                'effect': 'deny'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/dynamic',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: () => {
+                        throw new Error('Policy store is down');
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/disabled',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: 'none'
+                }
+            }
+        });
+
+        await server.initialize();
+    });
+
+    after(() => {
+        if (Fs.existsSync(file)) {
+            Fs.unlinkSync(file);
+        }
+    });
+
+    test('should record a permit from the global policy', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/global',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+
+        const record = events.pop();
+        expect(record.route).to.equal('/global');
+        expect(record.method).to.equal('get');
+        expect(record.credentials).to.equal('user1');
+        expect(record.source).to.equal('global');
+        expect(record.decision).to.equal('permit');
+        expect(record.duration).to.be.a.number();
+        expect(new Date(record.timestamp).toISOString()).to.equal(record.timestamp);
+
+        expect(logs.pop()).to.equal(record);
+        expect(custom.pop()).to.equal(record);
+    });
+
+    test('should record a deny from the route policy', async () => {
+        const response = await server.inject({
+            method: 'POST',
+            url: '/route',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user2:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(401);
+
+        const record = events.pop();
+        expect(record.route).to.equal('/route');
+        expect(record.method).to.equal('post');
+        expect(record.credentials).to.equal('user2');
+        expect(record.source).to.equal('route');
+        expect(record.decision).to.equal('deny');
+    });
+
+    test('should record an evaluation error from a dynamic policy', async () => {
+        await server.inject({
+            method: 'GET',
+            url: '/dynamic',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        const record = events.pop();
+        expect(record.source).to.equal('dynamic');
+        expect(record.decision).to.equal('error');
+        expect(record.error).to.equal('Policy store is down');
+    });
+
+    test('should not record routes without access control', async () => {
+        const count = events.length;
+
+        const response = await server.inject({
+            method: 'GET',
+            url: '/disabled',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(events.length).to.equal(count);
+    });
+
+    test('should append the records to the file sink', async () => {
+        await server.stop();
+
+        const lines = Fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        expect(lines.map((line) => line.decision)).to.equal(['permit', 'deny', 'error']);
+        expect(lines[0].credentials).to.equal('user1');
+    });
+});
+
+experiment('RBAC decision audit identifier', () => {
+
+    test('should record null credentials when the identifier throws', async () => {
+        const users = {};
+
+        users.user1 = {
+            'username': 'user1',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        const records = [];
+        const errors = [];
+
+        const server = await createServer(users, {
+            policy: {
+                apply: 'permit-overrides',
+                rules: [
+                    {
+                        'effect': 'permit'
+                    }
+                ]
+            },
+            audit: {
+                identifier: (credentials) => credentials.account.id,
+                sinks: [
+                    (record) => records.push(record)
+                ]
+            }
+        });
+
+        server.events.on({name: 'request', channels: 'app', filter: 'error'}, (request, event, tags) => {
+            if (tags.rbac && tags.audit) {
+                errors.push(event.error);
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/global',
+            handler: (request, h) => h.response({ok: true})
+        });
+
+        const response = await server.inject({
+            method: 'GET',
+            url: '/global',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(records).to.have.length(1);
+        expect(records[0].credentials).to.be.null();
+        expect(records[0].decision).to.equal('permit');
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.be.an.error(TypeError);
+    });
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const RbacCore = require('rbac-core');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+/**
+ * Authorization inside handlers and on the server
+ **/
+experiment('Programmatic authorization', () => {
+
+    let server;
+
+    const users = {};
+
+    users.author = {
+        'username': 'author',
+        'password': 'pwtest',
+        'group': ['writer']
+    };
+
+    users.other = {
+        'username': 'other',
+        'password': 'pwtest',
+        'group': ['writer']
+    };
+
+    users.admin = {
+        'username': 'admin',
+        'password': 'pwtest',
+        'group': ['admin']
+    };
+
+    const comments = {
+        1: {author: 'author', text: 'First'}
+    };
+
+    // Only the author of a comment, or an admin, can edit it
+    const editComment = {
+        apply: 'permit-overrides',
+        rules: [
+            {
+                target: {'credentials:username': {field: 'comment:author'}},
+                effect: 'permit',
+                obligations: [{id: 'log', message: 'edited'}]
+            },
+            {
+                target: {'credentials:group': 'admin'},
+                effect: 'permit'
+            }
+        ]
+    };
+
+    before(async () => {
+        server = await createServer(users, {
+            policies: {
+                'admin-only': {
+                    rules: [
+                        {
+                            target: {'credentials:group': 'admin'},
+                            effect: 'permit'
+                        }
+                    ]
+                }
+            }
+        });
+
+        server.route({
+            method: 'PUT',
+            path: '/comments/{id}',
+            handler: async (request, h) => {
+                const comment = comments[request.params.id];
+                const decision = await request.rbac.authorize(editComment, {comment});
+
+                if (!decision.permitted) {
+                    return h.response({decision: decision.result}).code(403);
+                }
+
+                return h.response({decision: decision.result, obligations: decision.obligations});
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/admin',
+            handler: async (request, h) => {
+                const decision = await request.rbac.authorize(request.query.policy);
+
+                return h.response({permitted: decision.permitted, error: decision.error && decision.error.message});
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/invalid',
+            handler: async (request, h) => {
+                const decision = await request.rbac.authorize({rules: [{effect: 'allow'}]});
+
+                return h.response({result: decision.result, trace: decision.trace, error: decision.error.message});
+            }
+        });
+    });
+
+    const request = (method, url, username) => server.inject({
+        method,
+        url,
+        headers: {
+            authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+        }
+    });
+
+    test('should evaluate a policy with extra attributes from a handler', async () => {
+        const response = await request('PUT', '/comments/1', 'author');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.decision).to.equal(RbacCore.PERMIT);
+        expect(response.result.obligations).to.equal([{id: 'log', message: 'edited'}]);
+
+        expect((await request('PUT', '/comments/1', 'admin')).statusCode).to.equal(200);
+    });
+
+    test('should return denials without throwing', async () => {
+        const response = await request('PUT', '/comments/1', 'other');
+
+        expect(response.statusCode).to.equal(403);
+        expect(response.result.decision).to.equal(RbacCore.DENY);
+    });
+
+    test('should evaluate named policies', async () => {
+        expect((await request('GET', '/admin?policy=admin-only', 'admin')).result).to.equal({permitted: true, error: undefined});
+        expect((await request('GET', '/admin?policy=admin-only', 'author')).result).to.equal({permitted: false, error: undefined});
+        expect((await request('GET', '/admin?policy=missing', 'admin')).result).to.equal({permitted: false, error: 'Unknown policy reference: missing'});
+    });
+
+    test('should return invalid policy errors', async () => {
+        const response = await request('GET', '/invalid', 'admin');
+
+        expect(response.result).to.equal({
+            result: RbacCore.UNDETERMINED,
+            trace: null,
+            error: 'Invalid RBAC policy at rules[0].effect: "effect" must be one of [permit, deny]'
+        });
+    });
+
+    test('should retrieve each key once per request, along with the route policy', async () => {
+        let lookups = 0;
+
+        const other = await createServer(users, {
+            dataRetrievers: [
+                {
+                    handles: ['account'],
+                    handler: (source, key, context) => {
+                        ++lookups;
+                        return context.auth.credentials.group.indexOf('admin') !== -1 ? 'active' : 'suspended';
+                    }
+                }
+            ]
+        });
+
+        const active = {
+            rules: [
+                {
+                    target: {'account:status': 'active'},
+                    effect: 'permit'
+                }
+            ]
+        };
+
+        other.route({
+            method: 'GET',
+            path: '/account',
+            handler: async (request, h) => {
+                const first = await request.rbac.authorize(active);
+                const second = await request.rbac.authorize(active, {comment: comments[1]});
+
+                return h.response({permitted: first.permitted && second.permitted});
+            },
+            config: {
+                plugins: {
+                    rbac: active
+                }
+            }
+        });
+
+        const response = await other.inject({
+            method: 'GET',
+            url: '/account',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('admin:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.result).to.equal({permitted: true});
+        expect(lookups).to.equal(1);
+    });
+
+    test('should evaluate policies on the server, with the given attributes', async () => {
+        const authorize = server.plugins['hapi-rbac'].authorize;
+
+        const decision = await authorize(editComment, {
+            credentials: {username: 'author'},
+            comment: comments[1]
+        });
+
+        expect(decision.permitted).to.be.true();
+        expect(decision.trace.children[0].result).to.equal(RbacCore.PERMIT);
+
+        expect((await authorize('admin-only', {credentials: {group: ['admin']}})).permitted).to.be.true();
+        expect((await authorize('admin-only')).result).to.equal(RbacCore.DENY);
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const Path = require('path');
+const Code = require('code');
+const Lab = require('lab');
+const Cli = require('../lib/cli');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const fixture = (name) => Path.join(__dirname, 'fixtures', 'cli', name);
+
+const run = async (argv) => {
+    const output = { stdout: '', stderr: '' };
+    const code = await Cli.run(argv, {
+        stdout: { write: (text) => (output.stdout += text) },
+        stderr: { write: (text) => (output.stderr += text) }
+    });
+
+    return Object.assign(output, { code });
+};
+
+/**
+ * Command line policy evaluation
+ **/
+experiment('CLI evaluate command', () => {
+
+    test('should print the decision and the matched rules of each context', async () => {
+        const result = await run(['evaluate', fixture('policy.json'), fixture('contexts.json')]);
+
+        expect(result.code).to.equal(Cli.PASS);
+        expect(result.stdout).to.equal([
+            'PASS alice: permit',
+            '  matched rules[0] -> permit',
+            'PASS bob: permit',
+            '  matched rules[1] -> permit',
+            'PASS carol: deny',
+            ''
+        ].join('\n'));
+    });
+
+    test('should fail when a decision is not the expected one', async () => {
+        const result = await run(['evaluate', fixture('policy.json'), fixture('contexts.json'), fixture('context.js')]);
+
+        expect(result.code).to.equal(Cli.FAIL);
+        expect(result.stdout).to.contain('FAIL dave: undetermined (expected permit)');
+    });
+
+    test('should print the results as JSON', async () => {
+        const result = await run(['evaluate', '--json', '--trace', fixture('policy.json'), fixture('context.js')]);
+        const results = JSON.parse(result.stdout);
+
+        expect(results).to.have.length(1);
+        expect(results[0]).to.include({name: 'dave', decision: 'undetermined', expected: 'permit', pass: false, rules: []});
+        expect(results[0].trace.target.matched).to.be.false();
+    });
+
+    test('should reject invalid policies', async () => {
+        const result = await run(['evaluate', fixture('invalid-policy.json'), fixture('context.js')]);
+
+        expect(result.code).to.equal(Cli.ERROR);
+        expect(result.stderr).to.startWith('Invalid policy ' + fixture('invalid-policy.json') + ' at rules[0].effect:');
+    });
+
+    test('should print the usage on invalid arguments', async () => {
+        const missing = await run(['evaluate', fixture('policy.json')]);
+        expect(missing.code).to.equal(Cli.ERROR);
+        expect(missing.stderr).to.contain('Missing policy or context files');
+        expect(missing.stderr).to.contain('Usage: hapi-rbac');
+
+        expect((await run(['authorize'])).stderr).to.startWith('Unknown command: authorize');
+        expect((await run([])).stderr).to.startWith('Missing command');
+        expect((await run(['evaluate', '--verbose'])).stderr).to.startWith('Unknown option: --verbose');
+
+        const help = await run(['--help']);
+        expect(help.code).to.equal(Cli.PASS);
+        expect(help.stdout).to.startWith('Usage: hapi-rbac');
+    });
+});
+
+experiment('CLI analyze command', () => {
+
+    test('should report the problems of each policy', async () => {
+        const result = await run(['analyze', fixture('problems.json'), fixture('policy.json')]);
+
+        expect(result.code).to.equal(Cli.FAIL);
+        expect(result.stdout).to.equal([
+            'FAIL ' + fixture('problems.json'),
+            '  unreachable: policies[3] is unreachable: policies[2] always applies under first-applicable',
+            '  conflict: policies[0].rules[1] denies with the same target as policies[0].rules[0], which permits',
+            '  contradictory-target: Target of policies[1] can never match: contradictory values for request:method',
+            '  empty: Empty rules in policies[2]: it always yields deny',
+            'PASS ' + fixture('policy.json'),
+            ''
+        ].join('\n'));
+    });
+
+    test('should pass policies without problems', async () => {
+        const result = await run(['analyze', '--json', fixture('policy.json')]);
+
+        expect(result.code).to.equal(Cli.PASS);
+        expect(JSON.parse(result.stdout)).to.equal([{file: fixture('policy.json'), findings: []}]);
+    });
+
+    test('should reject invalid policies', async () => {
+        expect((await run(['analyze'])).code).to.equal(Cli.ERROR);
+        expect((await run(['analyze', fixture('invalid-policy.json')])).code).to.equal(Cli.ERROR);
+    });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const Code = require('code');
+const Hapi = require('hapi');
+const Lab = require('lab');
+const Ip = require('../lib/ip');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+const officeOnly = {
+    rules: [
+        {
+            target: {'credentials:group': 'admin', 'client:ip': {$cidr: ['192.168.10.0/24', '2001:db8:10::/48']}},
+            effect: 'permit'
+        }
+    ]
+};
+
+const request = async (server, remoteAddress, forwardedFor) => {
+    const headers = {
+        authorization: 'Basic ' + (new Buffer('admin:pwtest', 'utf8')).toString('base64')
+    };
+
+    if (forwardedFor) {
+        headers['x-forwarded-for'] = forwardedFor;
+    }
+
+    const response = await server.inject({
+        method: 'GET',
+        url: '/admin',
+        remoteAddress,
+        headers
+    });
+
+    return response.statusCode;
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+/**
+ * IP addresses and CIDR ranges
+ **/
+experiment('IP matching', () => {
+
+    test('should match IPv4 ranges', () => {
+        expect(Ip.contains('10.0.0.0/8', '10.20.30.40')).to.be.true();
+        expect(Ip.contains('10.0.0.0/8', '11.0.0.1')).to.be.false();
+        expect(Ip.contains('192.168.1.128/25', '192.168.1.200')).to.be.true();
+        expect(Ip.contains('192.168.1.128/25', '192.168.1.127')).to.be.false();
+        expect(Ip.contains('0.0.0.0/0', '8.8.8.8')).to.be.true();
+        expect(Ip.contains('127.0.0.1', '127.0.0.1')).to.be.true();
+        expect(Ip.contains('127.0.0.1', '127.0.0.2')).to.be.false();
+    });
+
+    test('should match IPv6 ranges', () => {
+        expect(Ip.contains('2001:db8::/32', '2001:db8:ffff::1')).to.be.true();
+        expect(Ip.contains('2001:db8::/32', '2001:db9::1')).to.be.false();
+        expect(Ip.contains('fe80::/10', 'fe80::1%eth0')).to.be.true();
+        expect(Ip.contains('::1', '0:0:0:0:0:0:0:1')).to.be.true();
+    });
+
+    test('should match IPv4-mapped IPv6 addresses against IPv4 ranges', () => {
+        expect(Ip.contains('127.0.0.0/8', '::ffff:127.0.0.1')).to.be.true();
+        expect(Ip.contains('::ffff:10.0.0.0/104', '10.1.2.3')).to.be.true();
+        expect(Ip.contains('10.0.0.0/8', '::ffff:11.0.0.1')).to.be.false();
+    });
+
+    test('should not match invalid addresses and ranges', () => {
+        expect(Ip.contains('10.0.0.0/8', 'localhost')).to.be.false();
+        expect(Ip.contains('10.0.0.0/8', undefined)).to.be.false();
+        expect(Ip.contains('10.0.0.0/33', '10.0.0.1')).to.be.false();
+        expect(Ip.contains('10.0.0.0/x', '10.0.0.1')).to.be.false();
+        expect(Ip.contains('office', '10.0.0.1')).to.be.false();
+    });
+
+    test('should read X-Forwarded-For from right to left through trusted proxies', () => {
+        const trusted = ['10.0.0.0/8'];
+
+        expect(Ip.client('10.0.0.1', '203.0.113.7', trusted)).to.equal('203.0.113.7');
+        expect(Ip.client('10.0.0.1', '198.51.100.1, 203.0.113.7, 10.0.0.2', trusted)).to.equal('203.0.113.7');
+        expect(Ip.client('10.0.0.1', '10.0.0.3, 10.0.0.2', trusted)).to.equal('10.0.0.3');
+        expect(Ip.client('10.0.0.1', undefined, trusted)).to.equal('10.0.0.1');
+        expect(Ip.client('203.0.113.7', '10.0.0.2', trusted)).to.equal('203.0.113.7');
+        expect(Ip.client('10.0.0.1', '203.0.113.7', [])).to.equal('10.0.0.1');
+    });
+});
+
+experiment('RBAC client:ip source', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {
+            trustedProxies: ['10.0.0.0/8', 'fd00::1']
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/admin',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: officeOnly
+                }
+            }
+        });
+    });
+
+    test('should permit clients in the office network', async () => {
+        expect(await request(server, '192.168.10.20')).to.equal(200);
+        expect(await request(server, '2001:db8:10::20')).to.equal(200);
+        expect(await request(server, '192.168.11.20')).to.equal(401);
+    });
+
+    test('should use X-Forwarded-For from trusted proxies', async () => {
+        expect(await request(server, '10.1.1.1', '192.168.10.20')).to.equal(200);
+        expect(await request(server, 'fd00::1', '192.168.10.20, 10.1.1.2')).to.equal(200);
+        expect(await request(server, '10.1.1.1', '192.168.10.20, 203.0.113.7')).to.equal(401);
+    });
+
+    test('should ignore X-Forwarded-For from other clients', async () => {
+        expect(await request(server, '203.0.113.7', '192.168.10.20')).to.equal(401);
+        expect(await request(server, '192.168.10.20', '203.0.113.7')).to.equal(200);
+    });
+
+    test('should reject invalid trusted proxies and ranges', async () => {
+        const proxiesErr = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                trustedProxies: ['proxy.local']
+            }
+        }));
+
+        expect(proxiesErr.message).to.contain('must be a valid ip address');
+
+        const rangeErr = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                policy: {rules: [{target: {'client:ip': {$cidr: '10.0.0.0/40'}}, effect: 'permit'}]}
+            }
+        }));
+
+        expect(rangeErr.message).to.startWith('Invalid RBAC global policy at rules[0].target.client:ip.$cidr');
+    });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const RbacCore = require('rbac-core');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+/**
+ * Combinatory algorithms, in policies and nested policy sets
+ **/
+experiment('Combinatory algorithms', () => {
+
+    let server;
+    let trace;
+
+    const users = {};
+
+    users.admin = {
+        'username': 'admin',
+        'password': 'pwtest',
+        'group': ['admin', 'writer']
+    };
+
+    users.writer = {
+        'username': 'writer',
+        'password': 'pwtest',
+        'group': ['writer']
+    };
+
+    users.reader = {
+        'username': 'reader',
+        'password': 'pwtest',
+        'group': ['reader']
+    };
+
+    const route = (path, policy) => {
+        server.route({
+            method: 'GET',
+            path,
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: policy
+                }
+            }
+        });
+    };
+
+    const request = async (url, username) => {
+        const response = await server.inject({
+            method: 'GET',
+            url,
+            headers: {
+                authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        return response.statusCode;
+    };
+
+    before(async () => {
+        server = await createServer(users, {});
+
+        server.events.on('response', (req) => {
+            trace = req.plugins.rbac && req.plugins.rbac.trace;
+        });
+
+        // Firewall style: the first matching rule wins
+        route('/first-applicable', {
+            apply: 'first-applicable',
+            rules: [
+                {target: {'credentials:group': 'admin'}, effect: 'permit'},
+                {target: {'credentials:group': 'writer'}, effect: 'deny'},
+                {effect: 'permit'}
+            ]
+        });
+
+        route('/only-one-applicable', {
+            apply: 'only-one-applicable',
+            rules: [
+                {target: {'credentials:group': 'admin'}, effect: 'permit'},
+                {target: {'credentials:group': 'writer'}, effect: 'permit'}
+            ]
+        });
+
+        route('/deny-unless-permit', {
+            apply: 'deny-unless-permit',
+            rules: [
+                {target: {'credentials:group': 'writer'}, effect: 'permit'}
+            ]
+        });
+
+        route('/permit-unless-deny', {
+            apply: 'permit-unless-deny',
+            rules: [
+                {target: {'credentials:group': 'reader'}, effect: 'deny'}
+            ]
+        });
+
+        route('/admin-deny-unless-permit', {
+            target: {'credentials:group': 'admin'},
+            apply: 'deny-unless-permit',
+            rules: [
+                {target: {'credentials:group': 'writer'}, effect: 'permit'}
+            ]
+        });
+
+        route('/admin-permit-unless-deny', {
+            target: {'credentials:group': 'admin'},
+            apply: 'permit-unless-deny',
+            rules: [
+                {target: {'credentials:group': 'reader'}, effect: 'deny'}
+            ]
+        });
+
+        // Dynamic policies are not validated
+        route('/prototype-algorithm', () => ({
+            apply: 'constructor',
+            rules: [
+                {effect: 'deny'}
+            ]
+        }));
+
+        route('/nested', {
+            apply: 'first-applicable',
+            policies: [
+                {
+                    target: {'credentials:group': 'reader'},
+                    apply: 'permit-unless-deny',
+                    rules: [
+                        {effect: 'deny'}
+                    ]
+                },
+                {
+                    apply: 'only-one-applicable',
+                    policies: [
+                        {
+                            target: {'credentials:group': 'admin'},
+                            apply: 'deny-unless-permit',
+                            rules: [
+                                {effect: 'permit'}
+                            ]
+                        },
+                        {
+                            target: {'credentials:username': 'writer'},
+                            apply: 'first-applicable',
+                            rules: [
+                                {target: {'credentials:group': 'writer'}, effect: 'permit'}
+                            ]
+                        }
+                    ]
+                },
+                {
+                    apply: 'deny-unless-permit',
+                    rules: []
+                }
+            ]
+        });
+    });
+
+    test('first-applicable should use the first applicable rule, in array order', async () => {
+        expect(await request('/first-applicable', 'admin')).to.equal(200);
+        expect(trace.children).to.have.length(1);
+
+        expect(await request('/first-applicable', 'writer')).to.equal(401);
+        expect(trace.children).to.have.length(2);
+
+        expect(await request('/first-applicable', 'reader')).to.equal(200);
+        expect(trace.children).to.have.length(3);
+    });
+
+    test('only-one-applicable should be undetermined when more than one rule applies', async () => {
+        expect(await request('/only-one-applicable', 'writer')).to.equal(200);
+
+        expect(await request('/only-one-applicable', 'admin')).to.equal(401);
+        expect(trace.result).to.equal(RbacCore.UNDETERMINED);
+
+        expect(await request('/only-one-applicable', 'reader')).to.equal(401);
+        expect(trace.result).to.equal(RbacCore.UNDETERMINED);
+    });
+
+    test('deny-unless-permit should never combine the rules into undetermined', async () => {
+        expect(await request('/deny-unless-permit', 'writer')).to.equal(200);
+
+        expect(await request('/deny-unless-permit', 'reader')).to.equal(401);
+        expect(trace.result).to.equal(RbacCore.DENY);
+    });
+
+    test('permit-unless-deny should never combine the rules into undetermined', async () => {
+        expect(await request('/permit-unless-deny', 'writer')).to.equal(200);
+        expect(trace.result).to.equal(RbacCore.PERMIT);
+
+        expect(await request('/permit-unless-deny', 'reader')).to.equal(401);
+    });
+
+    test('deny-unless-permit and permit-unless-deny should be undetermined when the policy target does not match', async () => {
+        expect(await request('/admin-deny-unless-permit', 'admin')).to.equal(200);
+        expect(trace.result).to.equal(RbacCore.PERMIT);
+
+        expect(await request('/admin-deny-unless-permit', 'writer')).to.equal(401);
+        expect(trace.result).to.equal(RbacCore.UNDETERMINED);
+
+        expect(await request('/admin-permit-unless-deny', 'admin')).to.equal(200);
+        expect(trace.result).to.equal(RbacCore.PERMIT);
+
+        expect(await request('/admin-permit-unless-deny', 'writer')).to.equal(401);
+        expect(trace.result).to.equal(RbacCore.UNDETERMINED);
+    });
+
+    test('should not accept object prototype keys as algorithms', async () => {
+        expect(await request('/prototype-algorithm', 'admin')).to.equal(500);
+        expect(trace).to.not.exist();
+    });
+
+    test('should combine nested policy sets', async () => {
+        // First policy applies and denies
+        expect(await request('/nested', 'reader')).to.equal(401);
+        expect(trace.children).to.have.length(1);
+
+        // Only the writer policy applies in the nested set
+        expect(await request('/nested', 'writer')).to.equal(200);
+        expect(trace.children).to.have.length(2);
+        expect(trace.children[1].result).to.equal(RbacCore.PERMIT);
+
+        // Only the admin policy applies in the nested set
+        expect(await request('/nested', 'admin')).to.equal(200);
+        expect(trace.children[1].children[0].result).to.equal(RbacCore.PERMIT);
+        expect(trace.children[1].children[1].result).to.equal(RbacCore.UNDETERMINED);
+    });
+});
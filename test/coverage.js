@@ -0,0 +1,101 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const adminOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'admin'},
+            effect: 'permit'
+        }
+    ]
+};
+
+const route = (server, path, rbac, auth) => {
+    server.route({
+        method: 'GET',
+        path,
+        handler: (request, h) => h.response({ok: true}),
+        config: {
+            auth,
+            plugins: {
+                rbac
+            }
+        }
+    });
+};
+
+/**
+ * Route authorization coverage report
+ **/
+experiment('RBAC coverage report', () => {
+
+    let server;
+    let logged;
+
+    before(async () => {
+        server = await createServer({}, {
+            policy: adminOnly,
+            policies: {
+                'admin-only': adminOnly
+            },
+            coverage: true
+        });
+
+        server.events.on('log', (event, tags) => {
+            if (tags.coverage) {
+                logged = event.data;
+            }
+        });
+
+        route(server, '/global', undefined);
+        route(server, '/route', 'admin-only');
+        route(server, '/merged', {
+            policy: adminOnly,
+            merge: 'deny-overrides',
+            enforcement: 'monitor'
+        });
+        route(server, '/dynamic', () => adminOnly);
+        route(server, '/public', 'none', false);
+
+        await server.initialize();
+    });
+
+    test('should report the access control source of every route', () => {
+        const report = server.plugins['hapi-rbac'].coverage();
+
+        expect(report.routes).to.equal([
+            {method: 'get', path: '/dynamic', auth: true, source: 'dynamic', named: [], enforcement: 'enforce'},
+            {method: 'get', path: '/global', auth: true, source: 'global', named: [], enforcement: 'enforce'},
+            {method: 'get', path: '/merged', auth: true, source: 'merged', named: [], enforcement: 'monitor'},
+            {method: 'get', path: '/public', auth: false, source: 'none', named: [], enforcement: 'enforce'},
+            {method: 'get', path: '/route', auth: true, source: 'route', named: ['admin-only'], enforcement: 'enforce'}
+        ]);
+
+        expect(report.summary).to.equal({global: 1, route: 1, merged: 1, dynamic: 1, none: 1, missing: 0});
+    });
+
+    test('should log the report on server start', () => {
+        expect(logged).to.equal(server.plugins['hapi-rbac'].coverage());
+    });
+
+    test('should report routes without policy', async () => {
+        const other = await createServer({}, {});
+
+        route(other, '/unprotected', undefined);
+
+        const report = other.plugins['hapi-rbac'].coverage();
+        expect(report.routes[0].source).to.equal('missing');
+        expect(report.summary.missing).to.equal(1);
+    });
+});
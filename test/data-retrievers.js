@@ -9,6 +9,7 @@ const lab = exports.lab = Lab.script();
 const experiment = lab.experiment;
 const test = lab.test;
 const before = lab.before;
+const beforeEach = lab.beforeEach;
 
 const expect = Code.expect;
 
@@ -127,3 +128,369 @@ experiment('User defined data retrievers', () => {
         expect(response.statusCode).to.equal(401);
     });
 });
+
+/**
+ * Data retriever lookups are resolved once per request and key
+ **/
+experiment('Data retriever memoization', () => {
+
+    let server;
+    const calls = { document: 0, live: 0 };
+
+    before(async () => {
+        const users = {};
+
+        users.user1 = {
+            'username': 'user1',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        server = await createServer(users, {
+            dataRetrievers: [
+                {
+                    handles: 'document',
+                    handler: (source, key, context, callback) => {
+                        ++calls.document;
+                        callback(null, 'user1');
+                    }
+                },
+                {
+                    handles: 'live',
+                    cache: false,
+                    handler: (source, key, context, callback) => {
+                        ++calls.live;
+                        callback(null, true);
+                    }
+                }
+            ]
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/endpoint',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        target: {'document:123.owner': 'user1', 'live:enabled': true},
+                        apply: 'deny-overrides',
+                        rules: [
+                            {
+                                target: [{'document:123.owner': 'user2'}, {'live:enabled': false}],
+                                'effect': 'deny'
+                            },
+                            {
+                                target: {'document:123.owner': 'user1', 'live:enabled': true},
+                                'effect': 'permit'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+    });
+
+    test('should call the handler once per request and key, unless the retriever opted out', async () => {
+        const request = () => server.inject({
+            method: 'GET',
+            url: '/endpoint',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect((await request()).statusCode).to.equal(200);
+        expect(calls.document).to.equal(1);
+        expect(calls.live).to.equal(3);
+
+        expect((await request()).statusCode).to.equal(200);
+        expect(calls.document).to.equal(2);
+        expect(calls.live).to.equal(6);
+    });
+});
+
+/**
+ * Data retrievers returning values or promises
+ **/
+experiment('User defined data retrievers with promises', () => {
+
+    let server;
+    let errors;
+
+    before(async () => {
+        const users = {};
+
+        users.user1 = {
+            'username': 'user1',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        server = await createServer(users, {
+            onError: (request, h, err) => {
+                errors.push(err);
+                throw err;
+            },
+            dataRetrievers: [
+                {
+                    handles: 'async',
+                    handler: async (source, key) => {
+                        await new Promise((resolve) => setTimeout(resolve, 1));
+                        return key === 'blocked' ? false : undefined;
+                    }
+                },
+                {
+                    handles: 'sync',
+                    handler: (source, key, context) => Hoek.reach(context, 'auth.credentials.' + key)
+                },
+                {
+                    handles: 'failing',
+                    handler: () => Promise.reject(new Error('Data source is down'))
+                }
+            ]
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/endpoint',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        target: {'sync:username': 'user1'},
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                target: {'async:blocked': false},
+                                'effect': 'permit'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/failing',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        target: {'failing:anything': true},
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                'effect': 'permit'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+    });
+
+    beforeEach(() => {
+        errors = [];
+    });
+
+    test('should use the values returned by sync and async handlers', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/endpoint',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(errors).to.have.length(0);
+    });
+
+    test('should pass rejected promises to onError', async () => {
+        await server.inject({
+            method: 'GET',
+            url: '/failing',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(errors).to.have.length(1);
+        expect(errors[0].message).to.equal('Data source is down');
+    });
+
+    test('should take precedence over the default data retrievers of the same source', async () => {
+        const other = await createServer({
+            user1: {
+                'username': 'user1',
+                'password': 'pwtest',
+                'group': ['reader']
+            }
+        }, {
+            dataRetrievers: [
+                {
+                    handles: ['client', 'header'],
+                    handler: (source, key) => source + ':' + key
+                },
+                {
+                    handles: 'scope',
+                    handler: (source, key) => key === 'articles'
+                }
+            ]
+        });
+
+        other.route({
+            method: 'GET',
+            path: '/custom',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        target: {'client:ip': 'client:ip', 'header:x-tenant': 'header:x-tenant', 'scope:articles': true},
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                'effect': 'permit'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        const response = await other.inject({
+            method: 'GET',
+            url: '/custom',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+    });
+});
+
+/**
+ * Built-in header and cookie data retrievers
+ **/
+experiment('Header and cookie data retrievers', () => {
+
+    const users = {};
+
+    users.user1 = {
+        'username': 'user1',
+        'password': 'pwtest',
+        'group': ['reader']
+    };
+
+    const policy = (target) => ({
+        target,
+        apply: 'permit-overrides',
+        rules: [
+            {
+                'effect': 'permit'
+            }
+        ]
+    });
+
+    const createRoutes = (server) => {
+        server.route({
+            method: 'GET',
+            path: '/header',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: policy({'header:X-Client-Type': 'mobile'})
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/authorization',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: policy({'header:authorization': /^Basic /})
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/cookie',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: policy({'cookie:feature': 'beta'})
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/state',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: policy({'state:session': 'abc'})
+                }
+            }
+        });
+    };
+
+    const request = (server, url, headers) => server.inject({
+        method: 'GET',
+        url,
+        headers: Object.assign({
+            authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+        }, headers)
+    });
+
+    experiment('without allowlists', () => {
+
+        let server;
+
+        before(async () => {
+            server = await createServer(users, {});
+            createRoutes(server);
+        });
+
+        test('should match headers case insensitively', async () => {
+            expect((await request(server, '/header', {'x-client-type': 'mobile'})).statusCode).to.equal(200);
+            expect((await request(server, '/header', {'x-client-type': 'web'})).statusCode).to.equal(401);
+            expect((await request(server, '/authorization')).statusCode).to.equal(200);
+        });
+
+        test('should match cookies with both state and cookie sources', async () => {
+            expect((await request(server, '/cookie', {cookie: 'feature=beta'})).statusCode).to.equal(200);
+            expect((await request(server, '/cookie', {cookie: 'feature=stable'})).statusCode).to.equal(401);
+            expect((await request(server, '/state', {cookie: 'session=abc'})).statusCode).to.equal(200);
+        });
+    });
+
+    experiment('with allowlists', () => {
+
+        let server;
+
+        before(async () => {
+            server = await createServer(users, {
+                allowedHeaders: ['x-client-TYPE'],
+                allowedCookies: ['feature']
+            });
+            createRoutes(server);
+        });
+
+        test('should match allowed headers and cookies', async () => {
+            expect((await request(server, '/header', {'x-client-type': 'mobile'})).statusCode).to.equal(200);
+            expect((await request(server, '/cookie', {cookie: 'feature=beta'})).statusCode).to.equal(200);
+        });
+
+        test('should not retrieve headers and cookies outside the allowlist', async () => {
+            expect((await request(server, '/authorization')).statusCode).to.equal(401);
+            expect((await request(server, '/state', {cookie: 'session=abc'})).statusCode).to.equal(401);
+        });
+    });
+});
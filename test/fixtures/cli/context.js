@@ -0,0 +1,10 @@
+'use strict';
+
+// Writers can not delete documents
+module.exports = {
+    name: 'dave',
+    credentials: { username: 'dave', group: ['writer'] },
+    params: { owner: 'dave' },
+    method: 'DELETE',
+    path: '/documents/dave'
+};
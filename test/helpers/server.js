@@ -31,3 +31,27 @@ exports.createServer = async (users, options) => {
     }
 };
 
+exports.request = async (server, url, username) => {
+    const response = await server.inject({
+        method: 'GET',
+        url,
+        headers: {
+            authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+        }
+    });
+
+    return response.statusCode;
+};
+
+exports.route = (server, path, rbac) => {
+    server.route({
+        method: 'GET',
+        path,
+        handler: (request, h) => h.response({ok: true}),
+        config: {
+            plugins: {
+                rbac
+            }
+        }
+    });
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.writer = {
+    'username': 'writer',
+    'password': 'pwtest',
+    'group': ['writer']
+};
+
+users.blocked = {
+    'username': 'blocked',
+    'password': 'pwtest',
+    'group': ['writer'],
+    'blocked': true
+};
+
+users.reader = {
+    'username': 'reader',
+    'password': 'pwtest',
+    'group': ['reader']
+};
+
+// Blocked users are denied everywhere
+const globalPolicy = {
+    apply: 'permit-unless-deny',
+    rules: [
+        {
+            target: {'credentials:blocked': true},
+            effect: 'deny'
+        }
+    ]
+};
+
+const writersOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'writer'},
+            effect: 'permit'
+        }
+    ]
+};
+
+const readersOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'reader'},
+            effect: 'permit'
+        }
+    ]
+};
+
+/**
+ * Merge of global and route policies
+ **/
+experiment('Merged global and route policies', () => {
+
+    let server;
+    let records;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: globalPolicy,
+            merge: 'deny-overrides'
+        });
+
+        server.events.on('rbac:decision', (record) => records.push(record));
+
+        route(server, '/writers', writersOnly);
+        route(server, '/override', {
+            policy: writersOnly,
+            merge: false
+        });
+        route(server, '/global-only', undefined);
+        route(server, '/disabled', 'none');
+        route(server, '/dynamic', () => writersOnly);
+
+        await server.initialize();
+    });
+
+    beforeEach(() => {
+        records = [];
+    });
+
+    test('should apply the global policy along with the route policy', async () => {
+        expect(await request(server, '/writers', 'writer')).to.equal(200);
+        expect(await request(server, '/writers', 'blocked')).to.equal(401);
+        expect(await request(server, '/writers', 'reader')).to.equal(401);
+        expect(records.map((record) => record.source)).to.equal(['merged', 'merged', 'merged']);
+    });
+
+    test('should merge dynamic route policies', async () => {
+        expect(await request(server, '/dynamic', 'writer')).to.equal(200);
+        expect(await request(server, '/dynamic', 'blocked')).to.equal(401);
+        expect(records.map((record) => record.source)).to.equal(['dynamic', 'dynamic']);
+    });
+
+    test('should let a route disable the merge', async () => {
+        expect(await request(server, '/override', 'blocked')).to.equal(200);
+        expect(records[0].source).to.equal('route');
+    });
+
+    test('should use the global policy on routes without policy', async () => {
+        expect(await request(server, '/global-only', 'reader')).to.equal(200);
+        expect(await request(server, '/global-only', 'blocked')).to.equal(401);
+    });
+
+    test('should disable both policies with none', async () => {
+        expect(await request(server, '/disabled', 'blocked')).to.equal(200);
+    });
+});
+
+experiment('Route level merge and policy arrays', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: globalPolicy
+        });
+
+        route(server, '/override', writersOnly);
+        route(server, '/merge', {
+            policy: writersOnly,
+            merge: 'deny-overrides'
+        });
+        route(server, '/array', [writersOnly, readersOnly]);
+        route(server, '/merged-array', {
+            policy: [writersOnly, readersOnly],
+            merge: 'deny-overrides'
+        });
+
+        await server.initialize();
+    });
+
+    test('should override the global policy by default', async () => {
+        expect(await request(server, '/override', 'blocked')).to.equal(200);
+    });
+
+    test('should merge when the route enables it', async () => {
+        expect(await request(server, '/merge', 'writer')).to.equal(200);
+        expect(await request(server, '/merge', 'blocked')).to.equal(401);
+    });
+
+    test('should combine an array of route policies with permit-overrides', async () => {
+        expect(await request(server, '/array', 'writer')).to.equal(200);
+        expect(await request(server, '/array', 'reader')).to.equal(200);
+        expect(await request(server, '/array', 'blocked')).to.equal(200);
+    });
+
+    test('should combine an array of route policies with the merge algorithm', async () => {
+        // Both route policies and the global one must not deny
+        expect(await request(server, '/merged-array', 'writer')).to.equal(401);
+        expect(await request(server, '/merged-array', 'blocked')).to.equal(401);
+    });
+});
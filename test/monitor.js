@@ -0,0 +1,146 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+users.reader = {
+    'username': 'reader',
+    'password': 'pwtest',
+    'group': ['reader']
+};
+
+const adminOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'admin'},
+            effect: 'permit'
+        }
+    ]
+};
+
+/**
+ * Monitor (dry-run) enforcement mode
+ **/
+experiment('RBAC monitor mode', () => {
+
+    let server;
+    let reports;
+    let logs;
+    let audits;
+
+    before(async () => {
+        server = await createServer(users, {
+            enforcement: 'monitor',
+            policy: adminOnly
+        });
+
+        server.events.on('rbac:monitor', (record) => reports.push(record));
+        server.events.on('rbac:decision', (record) => audits.push(record));
+        server.events.on({name: 'request', channels: 'app'}, (req, event, tags) => {
+            if (tags.monitor) {
+                logs.push(event.data);
+            }
+        });
+
+        route(server, '/global', undefined);
+        route(server, '/enforced', {
+            enforcement: 'enforce',
+            policy: adminOnly
+        });
+        route(server, '/failing', () => {
+            throw new Error('Policy store unavailable');
+        });
+
+        await server.initialize();
+    });
+
+    beforeEach(() => {
+        reports = [];
+        logs = [];
+        audits = [];
+    });
+
+    test('should report denials instead of enforcing them', async () => {
+        expect(await request(server, '/global', 'reader')).to.equal(200);
+
+        expect(reports).to.have.length(1);
+        expect(reports[0].route).to.equal('/global');
+        expect(reports[0].decision).to.equal('deny');
+        expect(reports[0].trace.result).to.exist();
+        expect(logs).to.equal(reports);
+        expect(audits[0].enforcement).to.equal('monitor');
+    });
+
+    test('should not report permits', async () => {
+        expect(await request(server, '/global', 'admin')).to.equal(200);
+
+        expect(reports).to.have.length(0);
+    });
+
+    test('should report evaluation errors', async () => {
+        expect(await request(server, '/failing', 'admin')).to.equal(200);
+
+        expect(reports[0].decision).to.equal('error');
+        expect(reports[0].error).to.equal('Policy store unavailable');
+    });
+
+    test('should enforce the routes which opt out of monitor mode', async () => {
+        expect(await request(server, '/enforced', 'reader')).to.equal(401);
+        expect(reports).to.have.length(0);
+        expect(audits[0].enforcement).to.equal('enforce');
+    });
+
+    test('should count the decisions by route', () => {
+        const counters = server.plugins['hapi-rbac'].monitorCounters();
+
+        expect(counters).to.equal({
+            'get /global': {permit: 1, deny: 1, undetermined: 0, error: 0},
+            'get /failing': {permit: 0, deny: 0, undetermined: 0, error: 1}
+        });
+    });
+});
+
+experiment('RBAC monitor mode on a single route', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: adminOnly
+        });
+
+        route(server, '/enforced', undefined);
+        route(server, '/monitored', {
+            enforcement: 'monitor'
+        });
+
+        await server.initialize();
+    });
+
+    test('should only monitor the route', async () => {
+        expect(await request(server, '/enforced', 'reader')).to.equal(401);
+        expect(await request(server, '/monitored', 'reader')).to.equal(200);
+
+        expect(server.plugins['hapi-rbac'].monitorCounters()).to.equal({
+            'get /monitored': {permit: 0, deny: 1, undetermined: 0, error: 0}
+        });
+    });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const RbacCore = require('rbac-core');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+
+const expect = Code.expect;
+
+/**
+ * Obligations and advice attached to decisions
+ **/
+experiment('RBAC obligations and advice', () => {
+
+    let server;
+    let notified;
+    let logs;
+
+    before(async () => {
+        const users = {};
+
+        users.reader = {
+            'username': 'reader',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        users.premium = {
+            'username': 'premium',
+            'password': 'pwtest',
+            'group': ['reader'],
+            'premium': true
+        };
+
+        users.blocked = {
+            'username': 'blocked',
+            'password': 'pwtest',
+            'group': ['reader'],
+            'blocked': true
+        };
+
+        server = await createServer(users, {
+            obligations: {
+                notify: (obligation, request) => {
+                    notified.push(obligation.channel);
+                },
+                failing: () => Promise.reject(new Error('Notification service is down'))
+            }
+        });
+
+        server.events.on({name: 'request', channels: 'app', filter: 'rbac'}, (request, event) => logs.push(event.tags));
+
+        server.route({
+            method: 'GET',
+            path: '/endpoint',
+            handler: (request, h) => h.response({premium: request.app.premium || false}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'deny-overrides',
+                        obligations: [
+                            {id: 'header', name: 'x-rbac-decision', value: 'permit', on: 'permit'},
+                            {id: 'header', name: 'x-rbac-decision', value: 'deny', on: 'deny'}
+                        ],
+                        policies: [
+                            {
+                                apply: 'deny-overrides',
+                                rules: [
+                                    {
+                                        target: {'credentials:blocked': true},
+                                        effect: 'deny',
+                                        obligations: [{id: 'notify', channel: 'security'}]
+                                    },
+                                    {
+                                        effect: 'permit',
+                                        // Not collected when the rule does not contribute to the decision
+                                        obligations: [{id: 'notify', channel: 'permitted'}]
+                                    }
+                                ]
+                            },
+                            {
+                                target: {'credentials:premium': true},
+                                apply: 'permit-overrides',
+                                rules: [
+                                    {
+                                        effect: 'permit',
+                                        obligations: [{id: 'app', key: 'premium'}],
+                                        advice: [{id: 'notify', channel: 'premium'}]
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/missing-handler',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                effect: 'permit',
+                                obligations: [{id: 'unknown'}]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/prototype-handler',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                effect: 'permit',
+                                obligations: [{id: 'constructor'}]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/failing-obligation',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                effect: 'permit',
+                                obligations: [{id: 'failing'}]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/failing-advice',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        apply: 'permit-overrides',
+                        rules: [
+                            {
+                                effect: 'permit',
+                                advice: [{id: 'failing'}]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+    });
+
+    beforeEach(() => {
+        notified = [];
+        logs = [];
+    });
+
+    const request = (url, username) => server.inject({
+        method: 'GET',
+        url,
+        headers: {
+            authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+        }
+    });
+
+    test('should fulfill the obligations of the contributing parts of a permit', async () => {
+        const response = await request('/endpoint', 'premium');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.premium).to.be.true();
+        expect(response.headers['x-rbac-decision']).to.equal('permit');
+        expect(notified).to.equal(['permitted', 'premium']);
+    });
+
+    test('should not fulfill obligations of parts that did not apply', async () => {
+        const response = await request('/endpoint', 'reader');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.premium).to.be.false();
+        expect(notified).to.equal(['permitted']);
+    });
+
+    test('should fulfill the obligations of a deny', async () => {
+        const response = await request('/endpoint', 'blocked');
+
+        expect(response.statusCode).to.equal(401);
+        expect(response.headers['x-rbac-decision']).to.equal('deny');
+        expect(notified).to.equal(['security']);
+    });
+
+    test('should deny when an obligation has no handler', async () => {
+        const response = await request('/missing-handler', 'reader');
+
+        expect(response.statusCode).to.equal(401);
+        expect(logs).to.equal([['rbac', 'obligation', 'error']]);
+    });
+
+    test('should not accept object prototype keys as handlers', async () => {
+        const response = await request('/prototype-handler', 'reader');
+
+        expect(response.statusCode).to.equal(401);
+        expect(logs).to.equal([['rbac', 'obligation', 'error']]);
+    });
+
+    test('should deny when an obligation handler fails', async () => {
+        let rbac;
+        server.events.once('response', (req) => {
+            rbac = req.plugins.rbac;
+        });
+
+        const response = await request('/failing-obligation', 'reader');
+
+        expect(response.statusCode).to.equal(401);
+        expect(rbac.trace.result).to.equal(RbacCore.PERMIT);
+        expect(rbac.result).to.equal(RbacCore.DENY);
+    });
+
+    test('should permit when an advice handler fails', async () => {
+        const response = await request('/failing-advice', 'reader');
+
+        expect(response.statusCode).to.equal(200);
+        expect(logs).to.equal([['rbac', 'advice', 'error']]);
+    });
+});
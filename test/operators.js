@@ -0,0 +1,167 @@
+'use strict';
+
+const Code = require('code');
+const Hapi = require('hapi');
+const Lab = require('lab');
+const Operators = require('../lib/operators');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.adult = {
+    'username': 'adult',
+    'password': 'pwtest',
+    'age': 30,
+    'group': ['Writer']
+};
+
+users.minor = {
+    'username': 'minor',
+    'password': 'pwtest',
+    'age': 16,
+    'group': ['reader', 'banned']
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+/**
+ * Comparison operators in target values
+ **/
+experiment('Target operators', () => {
+
+    test('should compare numbers, coercing numeric strings', () => {
+        expect(Operators.matches({$gte: 18}, 18)).to.be.true();
+        expect(Operators.matches({$gt: 18}, '19')).to.be.true();
+        expect(Operators.matches({$lt: 100}, '100')).to.be.false();
+        expect(Operators.matches({$lte: 100}, '1e2')).to.be.false();
+        expect(Operators.matches({$gte: 1, $lte: 10}, '-1')).to.be.false();
+        expect(Operators.matches({$between: [1, 10]}, '10')).to.be.true();
+        expect(Operators.matches({$between: [1, 10]}, 'ten')).to.be.false();
+        expect(Operators.matches({$eq: 5}, '5.0')).to.be.true();
+        expect(Operators.matches({$eq: true}, 'true')).to.be.true();
+    });
+
+    test('should compare strings without converting retrieved numbers', () => {
+        expect(Operators.matches({$gte: '2018-01-01'}, '2018-06-01')).to.be.true();
+        expect(Operators.matches({$gt: 'a'}, 5)).to.be.false();
+        expect(Operators.matches({$eq: '5'}, 5)).to.be.false();
+    });
+
+    test('should match membership and negations', () => {
+        expect(Operators.matches({$in: ['draft', 'review']}, 'draft')).to.be.true();
+        expect(Operators.matches({$in: [1, 2]}, '2')).to.be.true();
+        expect(Operators.matches({$in: ['draft']}, ['published', 'draft'])).to.be.true();
+        expect(Operators.matches({$nin: ['banned']}, ['reader', 'banned'])).to.be.false();
+        expect(Operators.matches({$nin: ['banned']}, ['reader'])).to.be.true();
+        expect(Operators.matches({$ne: 'admin'}, 'writer')).to.be.true();
+        expect(Operators.matches({$ne: 'admin'}, undefined)).to.be.true();
+    });
+
+    test('should match any retrieved value against all the operators', () => {
+        expect(Operators.matches({$gte: 10, $lte: 20}, [5, 30])).to.be.false();
+        expect(Operators.matches({$gte: 10, $lte: 20}, [5, 15])).to.be.true();
+    });
+
+    test('should check whether the value exists', () => {
+        expect(Operators.matches({$exists: true}, 'x')).to.be.true();
+        expect(Operators.matches({$exists: true}, null)).to.be.false();
+        expect(Operators.matches({$exists: false}, undefined)).to.be.true();
+        expect(Operators.matches({$exists: false}, 0)).to.be.false();
+    });
+
+    test('should match strings ignoring case', () => {
+        expect(Operators.matches({$startsWith: '/api/'}, '/api/users')).to.be.true();
+        expect(Operators.matches({$startsWith: '/API/'}, '/api/users')).to.be.false();
+        expect(Operators.matches({$startsWith: '/API/', $ignoreCase: true}, '/api/users')).to.be.true();
+        expect(Operators.matches({$eq: 'ADMIN', $ignoreCase: true}, 'admin')).to.be.true();
+        expect(Operators.matches({$in: ['Draft'], $ignoreCase: true}, 'DRAFT')).to.be.true();
+        expect(Operators.matches({$startsWith: '1'}, 123)).to.be.false();
+    });
+
+    test('should tell operator objects from other values', () => {
+        expect(Operators.isOperator({$gt: 1})).to.be.true();
+        expect(Operators.isOperator({field: 'credentials:username'})).to.be.false();
+        expect(Operators.isOperator(/^\$/)).to.be.false();
+        expect(Operators.isOperator({})).to.be.false();
+        expect(Operators.isOperator('$gt')).to.be.false();
+    });
+});
+
+experiment('RBAC target operators', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {});
+
+        route(server, '/adults', {
+            rules: [
+                {
+                    target: {'credentials:age': {$gte: 18}},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/list', {
+            rules: [
+                {
+                    target: {'query:limit': {$between: [1, 100]}, 'credentials:group': {$nin: ['banned']}},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/writers', {
+            rules: [
+                {
+                    target: {'credentials:group': {$eq: 'writer', $ignoreCase: true}},
+                    effect: 'permit'
+                }
+            ]
+        });
+    });
+
+    test('should match the credentials with operators', async () => {
+        expect(await request(server, '/adults', 'adult')).to.equal(200);
+        expect(await request(server, '/adults', 'minor')).to.equal(401);
+
+        expect(await request(server, '/writers', 'adult')).to.equal(200);
+        expect(await request(server, '/writers', 'minor')).to.equal(401);
+    });
+
+    test('should coerce query values', async () => {
+        expect(await request(server, '/list?limit=100', 'adult')).to.equal(200);
+        expect(await request(server, '/list?limit=101', 'adult')).to.equal(401);
+        expect(await request(server, '/list?limit=all', 'adult')).to.equal(401);
+        expect(await request(server, '/list', 'adult')).to.equal(401);
+        expect(await request(server, '/list?limit=10', 'minor')).to.equal(401);
+    });
+
+    test('should reject invalid operators', async () => {
+        const err = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                policy: {rules: [{target: {'credentials:age': {$gte: 18, $gtt: 21}}, effect: 'permit'}]}
+            }
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC global policy at rules[0].target.credentials:age.$gtt: "$gtt" is not allowed');
+    });
+});
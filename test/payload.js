@@ -0,0 +1,203 @@
+'use strict';
+
+const Joi = require('joi');
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+users.writer = {
+    'username': 'writer',
+    'password': 'pwtest',
+    'group': ['writer']
+};
+
+// Only admins may publish
+const publishPolicy = {
+    apply: 'deny-overrides',
+    rules: [
+        {
+            target: {'payload:status': 'published', 'credentials:group': 'writer'},
+            effect: 'deny'
+        },
+        {
+            effect: 'permit'
+        }
+    ]
+};
+
+const request = (server, url, username, payload) => server.inject({
+    method: 'POST',
+    url,
+    payload,
+    headers: {
+        authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+    }
+});
+
+/**
+ * Payload data retriever and evaluation extension points
+ **/
+experiment('Payload data retriever', () => {
+
+    let server;
+    const warnings = [];
+
+    before(async () => {
+        server = await createServer(users, {});
+
+        server.events.on({name: 'log', filter: 'rbac'}, (event) => warnings.push(event.data));
+
+        const validate = {
+            payload: {
+                status: Joi.string().lowercase()
+            }
+        };
+
+        server.route({
+            method: 'POST',
+            path: '/pre-handler',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                validate,
+                plugins: {
+                    rbac: {
+                        ext: 'onPreHandler',
+                        policy: publishPolicy
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'POST',
+            path: '/post-auth',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                validate,
+                plugins: {
+                    rbac: publishPolicy
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/get',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        ext: 'onPreHandler',
+                        policy: publishPolicy
+                    }
+                }
+            }
+        });
+
+        await server.initialize();
+    });
+
+    test('should evaluate the policy with the validated payload on onPreHandler', async () => {
+        expect((await request(server, '/pre-handler', 'admin', {status: 'PUBLISHED'})).statusCode).to.equal(200);
+        expect((await request(server, '/pre-handler', 'writer', {status: 'draft'})).statusCode).to.equal(200);
+        expect((await request(server, '/pre-handler', 'writer', {status: 'PUBLISHED'})).statusCode).to.equal(401);
+    });
+
+    test('should evaluate the policy with the raw payload on onPostAuth', async () => {
+        expect((await request(server, '/post-auth', 'writer', {status: 'PUBLISHED'})).statusCode).to.equal(200);
+        expect((await request(server, '/post-auth', 'writer', {status: 'published'})).statusCode).to.equal(401);
+    });
+
+    test('should warn about routes targeting the payload too early', () => {
+        expect(warnings).to.have.length(2);
+        expect(warnings[0]).to.contain('post /post-auth');
+        expect(warnings[0]).to.contain('onPostAuth');
+        expect(warnings[1]).to.contain('get /get');
+    });
+});
+
+experiment('Plugin level extension point', () => {
+
+    let server;
+    let stages;
+
+    before(async () => {
+        server = await createServer(users, {
+            ext: 'onCredentials',
+            policy: (request) => {
+                stages.push(request.route.path);
+                return publishPolicy;
+            }
+        });
+
+        server.route({
+            method: 'POST',
+            path: '/authenticated',
+            handler: (request, h) => h.response({ok: true})
+        });
+
+        server.route({
+            method: 'POST',
+            path: '/pre-handler',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: {
+                        ext: 'onPreHandler'
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'POST',
+            path: '/public',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                auth: false
+            }
+        });
+    });
+
+    beforeEach(() => {
+        stages = [];
+    });
+
+    test('should evaluate the global policy on the configured extension point', async () => {
+        expect((await request(server, '/authenticated', 'writer', {status: 'published'})).statusCode).to.equal(401);
+        expect((await request(server, '/authenticated', 'admin', {status: 'published'})).statusCode).to.equal(200);
+        expect(stages).to.equal(['/authenticated', '/authenticated']);
+    });
+
+    test('should evaluate the global policy on the extension point of the route', async () => {
+        expect((await request(server, '/pre-handler', 'writer', {status: 'published'})).statusCode).to.equal(401);
+        expect(stages).to.equal(['/pre-handler']);
+    });
+
+    test('should evaluate the policy once on routes without authentication', async () => {
+        const response = await server.inject({
+            method: 'POST',
+            url: '/public',
+            payload: {status: 'draft'}
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(stages).to.equal(['/public']);
+    });
+});
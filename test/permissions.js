@@ -0,0 +1,173 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+/**
+ * Route permissions of a set of credentials
+ **/
+experiment('RBAC permissions listing', () => {
+
+    let server;
+
+    const users = {};
+
+    users.admin = {
+        'username': 'admin',
+        'password': 'pwtest',
+        'group': ['admin']
+    };
+
+    users.reader = {
+        'username': 'reader',
+        'password': 'pwtest',
+        'group': ['reader']
+    };
+
+    const adminOnly = {
+        apply: 'permit-overrides',
+        rules: [
+            {
+                target: {'credentials:group': 'admin'},
+                effect: 'permit'
+            }
+        ]
+    };
+
+    const route = (method, path, rbac) => {
+        server.route({
+            method,
+            path,
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac
+                }
+            }
+        });
+    };
+
+    before(async () => {
+        server = await createServer(users, {
+            permissionsRoute: true,
+            policies: {
+                'admin-only': adminOnly
+            }
+        });
+
+        route('GET', '/articles', 'none');
+        route('POST', '/articles', adminOnly);
+        route('DELETE', '/articles', 'admin-only');
+        route('GET', '/articles/{id}', {
+            apply: 'permit-overrides',
+            rules: [
+                {
+                    target: {'params:id': '1'},
+                    effect: 'permit'
+                }
+            ]
+        });
+        route('GET', '/dynamic', () => adminOnly);
+        route('GET', '/public', undefined);
+        route('GET', '/broken', {
+            rules: [
+                {
+                    target: {'credentials:group': 'admin'},
+                    effect: 'permit'
+                }
+            ],
+            apply: 'only-one-applicable'
+        });
+
+        await server.initialize();
+    });
+
+    test('should list the decision of every route for the given credentials', async () => {
+        const permissions = await server.plugins['hapi-rbac'].permissions(users.reader);
+
+        expect(permissions).to.equal({
+            '/articles': {get: 'permit', post: 'deny', delete: 'deny'},
+            '/articles/{id}': {get: 'conditional'},
+            '/dynamic': {get: 'conditional'},
+            '/public': {get: 'permit'},
+            '/broken': {get: 'undetermined'},
+            '/rbac/permissions': {get: 'permit'}
+        });
+
+        const admin = await server.plugins['hapi-rbac'].permissions(users.admin);
+
+        expect(admin['/articles']).to.equal({get: 'permit', post: 'permit', delete: 'permit'});
+        expect(admin['/broken'].get).to.equal('permit');
+    });
+
+    test('should list the permissions of the current credentials', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/rbac/permissions',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('admin:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result['/articles'].post).to.equal('permit');
+        expect(response.result['/articles/{id}'].get).to.equal('conditional');
+    });
+
+    test('should list routes which target other sources as conditional', async () => {
+        const other = await createServer(users, {
+            roles: {
+                admin: {permissions: ['documents.delete']}
+            },
+            dataRetrievers: [
+                {
+                    handles: ['document'],
+                    handler: (source, key, context) => (context.params.id === '1' ? 'reader' : 'admin')
+                }
+            ]
+        });
+
+        const otherRoute = (method, path, rbac) => {
+            other.route({
+                method,
+                path,
+                handler: (request, h) => h.response({ok: true}),
+                config: {
+                    plugins: {
+                        rbac
+                    }
+                }
+            });
+        };
+
+        otherRoute('GET', '/doc/{id}', {rules: [{target: {'credentials:username': {field: 'document:owner'}}, effect: 'permit'}]});
+        otherRoute('DELETE', '/doc/{id}', {rules: [{target: {'permission:documents.delete': true}, effect: 'permit'}]});
+        otherRoute('GET', '/orgs/{id}', {rules: [{target: {'scope:orgs:{params.id}': true}, effect: 'permit'}]});
+        otherRoute('GET', '/orgs', {rules: [{target: {'scope:orgs': true, 'role:admin': true}, effect: 'permit'}]});
+        otherRoute('GET', '/office', {rules: [{target: {'client:ip': {$cidr: '10.0.0.0/8'}}, effect: 'permit'}]});
+
+        const permissions = await other.plugins['hapi-rbac'].permissions(Object.assign({scope: ['orgs']}, users.admin));
+
+        expect(permissions).to.equal({
+            '/doc/{id}': {get: 'conditional', delete: 'permit'},
+            '/office': {get: 'conditional'},
+            '/orgs': {get: 'permit'},
+            '/orgs/{id}': {get: 'conditional'}
+        });
+    });
+
+    test('should not register the route by default', async () => {
+        const other = await createServer(users, {});
+
+        expect(other.table()).to.have.length(0);
+        expect(await other.plugins['hapi-rbac'].permissions(users.admin)).to.equal({});
+    });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+const afterEach = lab.afterEach;
+
+const expect = Code.expect;
+
+const users = {
+    user1: {
+        'username': 'user1',
+        'password': 'pwtest',
+        'group': ['reader']
+    }
+};
+
+const inject = (server, url) => server.inject({
+    method: 'GET',
+    url,
+    headers: {
+        authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+    }
+});
+
+const permitPolicy = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            'effect': 'permit'
+        }
+    ]
+};
+
+/**
+ * Caching of policies returned by dynamic policy functions
+ **/
+experiment('Dynamic policy cache', () => {
+
+    let server;
+    let clock;
+    let lookups;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: (request) => {
+                ++lookups[request.route.path];
+                return permitPolicy;
+            },
+            policyCache: {
+                ttl: 1000,
+                max: 2
+            }
+        });
+
+        ['/a', '/b', '/c'].forEach((path) => {
+            server.route({
+                method: 'GET',
+                path,
+                handler: (request, h) => h.response({ok: true})
+            });
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/failing',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                id: 'failing',
+                plugins: {
+                    rbac: () => {
+                        ++lookups['/failing'];
+                        throw new Error('Policy store is down');
+                    }
+                }
+            }
+        });
+    });
+
+    beforeEach(() => {
+        lookups = { '/a': 0, '/b': 0, '/c': 0, '/failing': 0 };
+        server.plugins['hapi-rbac'].invalidatePolicy();
+
+        clock = Date.now;
+    });
+
+    afterEach(() => {
+        Date.now = clock;
+    });
+
+    test('should retrieve the policy once per route', async () => {
+        expect((await inject(server, '/a')).statusCode).to.equal(200);
+        expect((await inject(server, '/a')).statusCode).to.equal(200);
+        expect((await inject(server, '/b')).statusCode).to.equal(200);
+
+        expect(lookups['/a']).to.equal(1);
+        expect(lookups['/b']).to.equal(1);
+    });
+
+    test('should retrieve the policy again after the TTL', async () => {
+        await inject(server, '/a');
+
+        const now = Date.now();
+        Date.now = () => now + 1001;
+
+        await inject(server, '/a');
+        expect(lookups['/a']).to.equal(2);
+    });
+
+    test('should drop the oldest entry when the cache is full', async () => {
+        await inject(server, '/a');
+        await inject(server, '/b');
+        await inject(server, '/c');
+        await inject(server, '/b');
+        await inject(server, '/a');
+
+        expect(lookups['/a']).to.equal(2);
+        expect(lookups['/b']).to.equal(1);
+    });
+
+    test('should invalidate a single key', async () => {
+        await inject(server, '/a');
+        await inject(server, '/b');
+
+        server.plugins['hapi-rbac'].invalidatePolicy('|get|/a');
+
+        await inject(server, '/a');
+        await inject(server, '/b');
+
+        expect(lookups['/a']).to.equal(2);
+        expect(lookups['/b']).to.equal(1);
+    });
+
+    test('should not cache failed retrievals', async () => {
+        await inject(server, '/failing');
+        await inject(server, '/failing');
+
+        expect(lookups['/failing']).to.equal(2);
+    });
+});
+
+experiment('Dynamic policy cache with custom key', () => {
+
+    let server;
+    let lookups = 0;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: () => {
+                ++lookups;
+                return permitPolicy;
+            },
+            policyCache: {
+                key: () => 'all'
+            }
+        });
+
+        ['/a', '/b'].forEach((path) => {
+            server.route({
+                method: 'GET',
+                path,
+                handler: (request, h) => h.response({ok: true})
+            });
+        });
+    });
+
+    test('should share the cached policy between requests with the same key', async () => {
+        await inject(server, '/a');
+        await inject(server, '/b');
+        expect(lookups).to.equal(1);
+
+        server.plugins['hapi-rbac'].invalidatePolicy('all');
+
+        await inject(server, '/b');
+        expect(lookups).to.equal(2);
+    });
+});
+
+experiment('Dynamic policy without cache', () => {
+
+    let server;
+    let lookups = 0;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: () => {
+                ++lookups;
+                return permitPolicy;
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/a',
+            handler: (request, h) => h.response({ok: true})
+        });
+    });
+
+    test('should retrieve the policy on every request', async () => {
+        await inject(server, '/a');
+        await inject(server, '/a');
+        expect(lookups).to.equal(2);
+
+        // No-op without cache
+        server.plugins['hapi-rbac'].invalidatePolicy();
+    });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const Code = require('code');
+const Hapi = require('hapi');
+const Lab = require('lab');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+users.owner = {
+    'username': 'owner',
+    'password': 'pwtest',
+    'group': ['writer']
+};
+
+users.other = {
+    'username': 'other',
+    'password': 'pwtest',
+    'group': ['writer']
+};
+
+const policies = {
+    'admin-only': {
+        apply: 'permit-overrides',
+        rules: [
+            {
+                target: {'credentials:group': 'admin'},
+                effect: 'permit'
+            }
+        ]
+    },
+    'owner-or-admin': {
+        apply: 'permit-overrides',
+        policies: [
+            {ref: 'admin-only'},
+            {
+                apply: 'permit-overrides',
+                rules: [
+                    {
+                        target: {'credentials:username': {field: 'params:owner'}},
+                        effect: 'permit'
+                    }
+                ]
+            }
+        ]
+    }
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+/**
+ * Named policies, referenced from routes and policy sets
+ **/
+experiment('Named policy registry', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {
+            policies
+        });
+
+        route(server, '/admin', 'admin-only');
+        route(server, '/documents/{owner}', 'owner-or-admin');
+        route(server, '/reference', {
+            apply: 'deny-overrides',
+            policies: [
+                {ref: 'admin-only'}
+            ]
+        });
+        route(server, '/options', {
+            policy: 'admin-only',
+            fields: {
+                secret: 'admin-only'
+            }
+        });
+        route(server, '/runtime', 'runtime');
+        route(server, '/dynamic', () => 'admin-only');
+
+        server.plugins['hapi-rbac'].registerPolicy('runtime', {
+            rules: [
+                {
+                    target: {'credentials:username': 'other'},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        await server.initialize();
+    });
+
+    test('should use a named policy as route policy', async () => {
+        expect(await request(server, '/admin', 'admin')).to.equal(200);
+        expect(await request(server, '/admin', 'owner')).to.equal(401);
+    });
+
+    test('should resolve references inside policy sets', async () => {
+        expect(await request(server, '/documents/owner', 'owner')).to.equal(200);
+        expect(await request(server, '/documents/owner', 'admin')).to.equal(200);
+        expect(await request(server, '/documents/owner', 'other')).to.equal(401);
+
+        expect(await request(server, '/reference', 'admin')).to.equal(200);
+        expect(await request(server, '/reference', 'owner')).to.equal(401);
+    });
+
+    test('should use named policies in route options', async () => {
+        expect(await request(server, '/options', 'admin')).to.equal(200);
+        expect(await request(server, '/options', 'owner')).to.equal(401);
+    });
+
+    test('should resolve named policies returned by policy retriever functions', async () => {
+        expect(await request(server, '/dynamic', 'admin')).to.equal(200);
+        expect(await request(server, '/dynamic', 'owner')).to.equal(401);
+    });
+
+    test('should use policies registered at runtime', async () => {
+        expect(await request(server, '/runtime', 'other')).to.equal(200);
+
+        // Replacing a policy applies to the following requests
+        server.plugins['hapi-rbac'].registerPolicy('runtime', {ref: 'admin-only'});
+
+        expect(await request(server, '/runtime', 'other')).to.equal(401);
+        expect(await request(server, '/runtime', 'admin')).to.equal(200);
+    });
+
+    test('should reject invalid references registered after start', async () => {
+        const register = server.plugins['hapi-rbac'].registerPolicy;
+
+        register('first', {ref: 'admin-only'});
+        expect(() => register('admin-only', {policies: [{ref: 'first'}]})).to.throw('Invalid RBAC policy admin-only: Circular policy reference: admin-only -> first -> admin-only');
+        expect(() => register('second', {ref: 'missing'})).to.throw('Invalid RBAC policy second: Unknown policy reference: missing');
+        expect(() => register('none', {ref: 'admin-only'})).to.throw();
+
+        // The rejected policies are not registered
+        expect(await request(server, '/admin', 'admin')).to.equal(200);
+        expect(await request(server, '/admin', 'owner')).to.equal(401);
+        expect(() => register('third', {ref: 'second'})).to.throw('Invalid RBAC policy third: Unknown policy reference: second');
+    });
+});
+
+experiment('Named policy validation', () => {
+
+    const initialize = async (options, rbac) => {
+        const server = await createServer(users, options);
+
+        route(server, '/endpoint', rbac);
+
+        await server.initialize();
+    };
+
+    test('should fail on start with references to missing policies', async () => {
+        const err = await reject(initialize({policies}, 'owner-or-admn'));
+        expect(err.message).to.equal('Invalid RBAC configuration of route get /endpoint: Unknown policy reference: owner-or-admn');
+
+        const nestedErr = await reject(initialize({policies}, {
+            policies: [{ref: 'admin-only'}, {ref: 'missing'}]
+        }));
+        expect(nestedErr.message).to.equal('Invalid RBAC configuration of route get /endpoint: Unknown policy reference: missing');
+
+        const globalErr = await reject(initialize({policies, policy: 'missing'}));
+        expect(globalErr.message).to.equal('Invalid RBAC global policy: Unknown policy reference: missing');
+    });
+
+    test('should fail on start with missing references between named policies', async () => {
+        const err = await reject(initialize({
+            policies: {
+                'admin-only': {policies: [{ref: 'admins'}]}
+            }
+        }, 'none'));
+
+        expect(err.message).to.equal('Invalid RBAC policy admin-only: Unknown policy reference: admins');
+    });
+
+    test('should detect circular references on start', async () => {
+        const err = await reject(initialize({
+            policies: {
+                a: {policies: [{ref: 'b'}]},
+                b: {apply: 'deny-overrides', policies: [policies['admin-only'], {ref: 'a'}]}
+            }
+        }, 'none'));
+
+        expect(err.message).to.equal('Invalid RBAC policy a: Circular policy reference: a -> b -> a');
+    });
+
+    test('should validate named policies on registration', async () => {
+        const server = new Hapi.Server();
+        const err = await reject(server.register({
+            plugin: require('../lib'),
+            options: {
+                policies: {
+                    'admin-only': {rules: [{effect: 'allow'}]}
+                }
+            }
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC policy admin-only at rules[0].effect: "effect" must be one of [permit, deny]');
+    });
+
+    test('should accept a named global policy', async () => {
+        await initialize({policies, policy: 'admin-only'}, {
+            policies: [{ref: 'owner-or-admin'}]
+        });
+    });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const Code = require('code');
+const Hapi = require('hapi');
+const Lab = require('lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const register = async (options) => {
+    const server = new Hapi.Server();
+
+    await server.register({
+        plugin: require('../lib'),
+        options
+    });
+
+    return server;
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+const initialize = async (rbac, options) => {
+    const server = await register(options || {});
+
+    server.route({
+        method: 'GET',
+        path: '/endpoint',
+        handler: (request, h) => h.response({ok: true}),
+        config: {
+            plugins: {
+                rbac
+            }
+        }
+    });
+
+    await server.initialize();
+};
+
+/**
+ * Validation of policy documents
+ **/
+experiment('Policy schema validation', () => {
+
+    test('should reject an invalid combinatory algorithm in the global policy', async () => {
+        const err = await reject(register({
+            policy: {
+                apply: 'deny-override',
+                rules: [{effect: 'permit'}]
+            }
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC global policy at apply: "apply" must be one of [permit-overrides, deny-overrides, first-applicable, only-one-applicable, deny-unless-permit, permit-unless-deny]');
+    });
+
+    test('should reject an invalid rule effect in the global policy', async () => {
+        const err = await reject(register({
+            policy: {
+                policies: [
+                    {
+                        rules: [{effect: 'permit'}, {effect: 'allow'}]
+                    }
+                ]
+            }
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC global policy at policies[0].rules[1].effect: "effect" must be one of [permit, deny]');
+    });
+
+    test('should reject target keys with an unknown source', async () => {
+        const err = await reject(register({
+            policy: {
+                target: [{'credentials:group': 'admin'}, {'credenitals:group': 'writer'}],
+                rules: [{effect: 'permit'}]
+            }
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC global policy at target[1].credenitals:group: "credenitals:group" is not allowed');
+    });
+
+    test('should accept target keys from user defined data retrievers', async () => {
+        await register({
+            policy: {
+                target: {'document:123.owner': {field: 'credentials:username'}, 'group': 'admin'},
+                rules: [{target: {'query:draft': /^(true|false)$/}, effect: 'permit'}]
+            },
+            dataRetrievers: [
+                {
+                    handles: 'document',
+                    handler: () => null
+                }
+            ]
+        });
+    });
+
+    test('should reject invalid field references', async () => {
+        const err = await reject(register({
+            policy: {
+                rules: [{target: {'credentials:username': {field: 'document:owner'}}, effect: 'permit'}]
+            }
+        }));
+
+        expect(err.message).to.startWith('Invalid RBAC global policy at rules[0].target.credentials:username.field:');
+    });
+
+    test('should reject an invalid route policy on server start', async () => {
+        const err = await reject(initialize({
+            apply: 'permit-overrides',
+            rules: [{target: {'param:id': '1'}}]
+        }));
+
+        expect(err.message).to.equal('Invalid RBAC configuration of route get /endpoint at policy.rules[0].effect: "effect" is required');
+    });
+
+    test('should reject invalid route options on server start', async () => {
+        const err = await reject(initialize({
+            ext: 'onPreAuth'
+        }));
+
+        expect(err.message).to.startWith('Invalid RBAC configuration of route get /endpoint at ext:');
+
+        const fieldErr = await reject(initialize({
+            fields: {
+                email: {rules: [{effect: 'hide'}]}
+            }
+        }));
+
+        expect(fieldErr.message).to.startWith('Invalid RBAC configuration of route get /endpoint at fields.email.rules[0].effect:');
+    });
+
+    test('should accept valid route configurations', async () => {
+        await initialize('none');
+        await initialize(() => null);
+        await initialize({
+            policy: 'none',
+            ext: 'onPreHandler'
+        });
+        await initialize({
+            target: {'credentials:group': 'admin'},
+            apply: 'deny-overrides',
+            policies: [
+                {
+                    rules: [{effect: 'permit', obligations: [{id: 'log', on: 'permit', message: 'ok'}]}]
+                }
+            ]
+        });
+    });
+});
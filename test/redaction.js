@@ -0,0 +1,215 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+/**
+ * Field level response redaction
+ **/
+experiment('RBAC field redaction', () => {
+
+    let server;
+
+    const adminOnly = {
+        apply: 'permit-overrides',
+        rules: [
+            {
+                target: {'credentials:group': 'admin'},
+                effect: 'permit'
+            }
+        ]
+    };
+
+    const employees = [
+        {name: 'John', email: 'john@example.com', salary: 1000, profile: {phone: '123', city: 'Lisbon'}},
+        {name: 'Jane', email: 'jane@example.com', salary: 2000, profile: {phone: '456', city: 'Porto'}}
+    ];
+
+    before(async () => {
+        const users = {};
+
+        users.reader = {
+            'username': 'reader',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        users.admin = {
+            'username': 'admin',
+            'password': 'pwtest',
+            'group': ['admin']
+        };
+
+        server = await createServer(users, {});
+
+        const fields = {
+            salary: adminOnly,
+            'profile.phone': adminOnly,
+            email: {
+                apply: 'permit-overrides',
+                rules: [
+                    {
+                        target: [{'credentials:group': 'admin'}, {'credentials:group': 'reader'}],
+                        effect: 'permit'
+                    }
+                ]
+            }
+        };
+
+        server.route({
+            method: 'GET',
+            path: '/employees',
+            handler: (request, h) => h.response(employees),
+            config: {
+                plugins: {
+                    rbac: {fields}
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/employees/first',
+            handler: (request, h) => h.response(employees[0]),
+            config: {
+                plugins: {
+                    rbac: {
+                        policy: {
+                            apply: 'permit-overrides',
+                            rules: [
+                                {
+                                    effect: 'permit'
+                                }
+                            ]
+                        },
+                        fields
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/teams',
+            handler: (request, h) => h.response({name: 'Sales', members: employees, lead: employees[0]}),
+            config: {
+                plugins: {
+                    rbac: {
+                        fields: {
+                            'members.email': adminOnly,
+                            'members.profile.phone': adminOnly,
+                            'lead.email': adminOnly
+                        }
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/text',
+            handler: (request, h) => h.response('salary'),
+            config: {
+                plugins: {
+                    rbac: {fields}
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/invalid-field-policy',
+            handler: (request, h) => h.response(employees[0]),
+            config: {
+                plugins: {
+                    rbac: {
+                        fields: {
+                            salary: {
+                                apply: 'unknown-algorithm',
+                                rules: []
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    });
+
+    const request = (url, username) => server.inject({
+        method: 'GET',
+        url,
+        headers: {
+            authorization: 'Basic ' + (new Buffer(username + ':pwtest', 'utf8')).toString('base64')
+        }
+    });
+
+    test('should remove the fields not permitted from array payloads', async () => {
+        const response = await request('/employees', 'reader');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result).to.equal([
+            {name: 'John', email: 'john@example.com', profile: {city: 'Lisbon'}},
+            {name: 'Jane', email: 'jane@example.com', profile: {city: 'Porto'}}
+        ]);
+
+        // The handler's objects are not modified
+        expect(employees[0].salary).to.equal(1000);
+        expect(employees[0].profile.phone).to.equal('123');
+    });
+
+    test('should keep the permitted fields', async () => {
+        const response = await request('/employees', 'admin');
+
+        expect(response.result).to.equal(employees);
+    });
+
+    test('should remove the fields not permitted from object payloads', async () => {
+        let rbac;
+        server.events.once('response', (req) => {
+            rbac = req.plugins.rbac;
+        });
+
+        const response = await request('/employees/first', 'reader');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result).to.equal({name: 'John', email: 'john@example.com', profile: {city: 'Lisbon'}});
+        expect(rbac.trace).to.exist();
+        expect(Object.keys(rbac.fields)).to.equal(['salary', 'profile.phone', 'email']);
+    });
+
+    test('should remove the fields not permitted inside nested arrays', async () => {
+        const response = await request('/teams', 'reader');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.members).to.equal([
+            {name: 'John', salary: 1000, profile: {city: 'Lisbon'}},
+            {name: 'Jane', salary: 2000, profile: {city: 'Porto'}}
+        ]);
+        expect(response.result.lead.email).to.not.exist();
+        expect(employees[1].email).to.equal('jane@example.com');
+
+        expect((await request('/teams', 'admin')).result.members).to.equal(employees);
+    });
+
+    test('should ignore non object payloads', async () => {
+        const response = await request('/text', 'reader');
+
+        expect(response.result).to.equal('salary');
+    });
+
+    test('should remove fields whose policy fails to evaluate', async () => {
+        const response = await request('/invalid-field-policy', 'admin');
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.salary).to.not.exist();
+        expect(response.result.name).to.equal('John');
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const adminOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'admin'},
+            effect: 'permit'
+        }
+    ]
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+const initialize = async (options, routes) => {
+    const server = await createServer({}, options);
+
+    routes.forEach(({method, path, rbac, auth}) => {
+        server.route({
+            method: method || 'GET',
+            path,
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                auth,
+                plugins: {
+                    rbac
+                }
+            }
+        });
+    });
+
+    await server.initialize();
+    return server;
+};
+
+/**
+ * Strict mode
+ **/
+experiment('RBAC requirePolicy option', () => {
+
+    test('should fail on start listing the routes without policy', async () => {
+        const err = await reject(initialize({requirePolicy: true}, [
+            {path: '/protected', rbac: adminOnly},
+            {path: '/dynamic', rbac: () => adminOnly},
+            {path: '/disabled', rbac: 'none'},
+            {path: '/open'},
+            {method: 'POST', path: '/open'},
+            {path: '/options', rbac: {ext: 'onPreHandler'}}
+        ]));
+
+        expect(err.message).to.equal('RBAC policy required for routes: get /open, get /options, post /open');
+    });
+
+    test('should start when every route has a policy', async () => {
+        await initialize({requirePolicy: true}, [
+            {path: '/protected', rbac: adminOnly},
+            {path: '/disabled', rbac: 'none'}
+        ]);
+    });
+
+    test('should use the global policy', async () => {
+        await initialize({requirePolicy: true, policy: adminOnly}, [
+            {path: '/open'}
+        ]);
+    });
+
+    test('should allow public paths', async () => {
+        await initialize({
+            requirePolicy: {
+                allow: ['/health', /^\/docs\//]
+            }
+        }, [
+            {path: '/health'},
+            {path: '/docs/{page}'}
+        ]);
+
+        const err = await reject(initialize({
+            requirePolicy: {
+                allow: ['/health']
+            }
+        }, [
+            {path: '/health'},
+            {path: '/healthz'}
+        ]));
+
+        expect(err.message).to.equal('RBAC policy required for routes: get /healthz');
+    });
+
+    test('should exempt routes without authentication when enabled', async () => {
+        const routes = [
+            {path: '/login', auth: false},
+            {path: '/profile'}
+        ];
+
+        const err = await reject(initialize({requirePolicy: {exemptUnauthenticated: true}}, routes));
+        expect(err.message).to.equal('RBAC policy required for routes: get /profile');
+
+        const strictErr = await reject(initialize({requirePolicy: true}, routes));
+        expect(strictErr.message).to.equal('RBAC policy required for routes: get /login, get /profile');
+    });
+
+    test('should not require policies by default', async () => {
+        await initialize({}, [
+            {path: '/open'}
+        ]);
+    });
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+const Code = require('code');
+const Hapi = require('hapi');
+const Lab = require('lab');
+const Roles = require('../lib/roles');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+users.editor = {
+    'username': 'editor',
+    'password': 'pwtest',
+    'group': 'editor'
+};
+
+users.guest = {
+    'username': 'guest',
+    'password': 'pwtest',
+    'group': ['guest']
+};
+
+users.prototype = {
+    'username': 'prototype',
+    'password': 'pwtest',
+    'group': ['toString', 'admin']
+};
+
+users.constructor = {
+    'username': 'constructor',
+    'password': 'pwtest',
+    'group': ['constructor']
+};
+
+users.reviewer = {
+    'username': 'reviewer',
+    'password': 'pwtest',
+    'roles': ['reviewer']
+};
+
+const roles = {
+    admin: {
+        parents: ['editor'],
+        permissions: ['users.manage']
+    },
+    editor: {
+        parents: ['writer'],
+        permissions: ['articles.publish']
+    },
+    writer: {
+        permissions: ['articles.create']
+    },
+    reviewer: {
+        permissions: ['articles.publish']
+    }
+};
+
+const reject = async (promise) => {
+    try {
+        await promise;
+    }
+    catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected promise to reject');
+};
+
+/**
+ * Role hierarchy with inherited permissions
+ **/
+experiment('RBAC role hierarchy', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {
+            roles
+        });
+
+        route(server, '/editors', {
+            rules: [
+                {
+                    target: {'role:editor': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/publish', {
+            rules: [
+                {
+                    target: {'permission:articles.publish': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/manage', {
+            rules: [
+                {
+                    target: {'permission:users.manage': true, 'role:writer': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+    });
+
+    test('should match inherited roles', async () => {
+        expect(await request(server, '/editors', 'admin')).to.equal(200);
+        expect(await request(server, '/editors', 'editor')).to.equal(200);
+        expect(await request(server, '/editors', 'guest')).to.equal(401);
+    });
+
+    test('should match permissions granted by any effective role', async () => {
+        expect(await request(server, '/publish', 'admin')).to.equal(200);
+        expect(await request(server, '/publish', 'editor')).to.equal(200);
+        expect(await request(server, '/publish', 'guest')).to.equal(401);
+
+        expect(await request(server, '/manage', 'admin')).to.equal(200);
+        expect(await request(server, '/manage', 'editor')).to.equal(401);
+    });
+
+    test('should handle role names of object prototype keys', async () => {
+        expect(await request(server, '/editors', 'prototype')).to.equal(200);
+        expect(await request(server, '/publish', 'prototype')).to.equal(200);
+        expect(await request(server, '/editors', 'constructor')).to.equal(401);
+
+        const effective = Roles.create({constructor: {permissions: ['objects.create']}}, 'group');
+        const expanded = effective({auth: {credentials: {group: ['constructor', 'hasOwnProperty']}}});
+        expect(Array.from(expanded.roles)).to.equal(['constructor', 'hasOwnProperty']);
+        expect(Array.from(expanded.permissions)).to.equal(['objects.create']);
+    });
+
+    test('should read the roles from the configured credentials key', async () => {
+        const other = await createServer(users, {
+            roles,
+            roleKey: 'roles'
+        });
+
+        route(other, '/publish', {
+            rules: [
+                {
+                    target: {'permission:articles.publish': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        expect(await request(other, '/publish', 'reviewer')).to.equal(200);
+        expect(await request(other, '/publish', 'editor')).to.equal(401);
+    });
+
+    test('should expand the roles once per request', () => {
+        const effective = Roles.create(roles, 'group');
+        const context = {auth: {credentials: {group: ['admin', 'unknown']}}};
+
+        const expanded = effective(context);
+        expect(Array.from(expanded.roles)).to.equal(['admin', 'editor', 'writer', 'unknown']);
+        expect(Array.from(expanded.permissions)).to.equal(['users.manage', 'articles.publish', 'articles.create']);
+        expect(effective(context)).to.shallow.equal(expanded);
+
+        expect(effective(null).roles.size).to.equal(0);
+    });
+
+    test('should reject cyclic role inheritance on registration', async () => {
+        const err = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                roles: {
+                    admin: {parents: ['editor']},
+                    editor: {parents: ['writer']},
+                    writer: {parents: ['admin']}
+                }
+            }
+        }));
+
+        expect(err.message).to.equal('Circular role inheritance: admin -> editor -> writer -> admin');
+    });
+
+    test('should reject unknown parent roles on registration', async () => {
+        const err = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                roles: {
+                    admin: {parents: ['root']}
+                }
+            }
+        }));
+
+        expect(err.message).to.equal('Unknown parent role root of role admin');
+
+        const prototypeErr = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                roles: {
+                    admin: {parents: ['constructor']}
+                }
+            }
+        }));
+
+        expect(prototypeErr.message).to.equal('Unknown parent role constructor of role admin');
+    });
+
+    test('should not accept role sources without role hierarchy', async () => {
+        const err = await reject(new Hapi.Server().register({
+            plugin: require('../lib'),
+            options: {
+                policy: {rules: [{target: {'role:admin': true}, effect: 'permit'}]}
+            }
+        }));
+
+        expect(err.message).to.startWith('Invalid RBAC global policy at rules[0].target.role:admin');
+    });
+});
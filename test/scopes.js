@@ -0,0 +1,126 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const Scopes = require('../lib/scopes');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.reader = {
+    'username': 'reader',
+    'password': 'pwtest',
+    'scope': ['articles:*:read', 'orgs:42']
+};
+
+users.author = {
+    'username': 'author',
+    'password': 'pwtest',
+    'scope': 'articles:123:write',
+    'permissions': ['articles:123']
+};
+
+users.anonymous = {
+    'username': 'anonymous',
+    'password': 'pwtest'
+};
+
+/**
+ * Scope matching
+ **/
+experiment('Scope matching', () => {
+
+    test('should match segment wildcards', () => {
+        expect(Scopes.grants('articles:*:read', 'articles:123:read')).to.be.true();
+        expect(Scopes.grants('articles:*:read', 'articles:123:write')).to.be.false();
+        expect(Scopes.grants('*:*:read', 'orgs:42:read')).to.be.true();
+        expect(Scopes.grants('articles:*', 'articles')).to.be.false();
+    });
+
+    test('should grant every scope below a granted scope', () => {
+        expect(Scopes.grants('orgs:42', 'orgs:42:admin')).to.be.true();
+        expect(Scopes.grants('orgs:42', 'orgs:42')).to.be.true();
+        expect(Scopes.grants('orgs:42', 'orgs:421')).to.be.false();
+        expect(Scopes.grants('orgs:42:admin', 'orgs:42')).to.be.false();
+    });
+
+    test('should not match values which are not strings', () => {
+        expect(Scopes.grants(undefined, 'orgs')).to.be.false();
+        expect(Scopes.grants('orgs', null)).to.be.false();
+    });
+
+    test('should list the referenced keys', () => {
+        expect(Scopes.references('orgs:{credentials.org}:articles:{params.id}:read')).to.equal(['credentials:org', 'params:id']);
+        expect(Scopes.references('orgs:42')).to.equal([]);
+    });
+});
+
+experiment('RBAC scope source', () => {
+
+    let server;
+
+    before(async () => {
+        server = await createServer(users, {});
+
+        route(server, '/articles/{id}', {
+            rules: [
+                {
+                    target: {'scope:articles:{params.id}:read': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/orgs/{org}/admin', {
+            rules: [
+                {
+                    target: {'scope:orgs:{params.org}:admin': true},
+                    effect: 'permit'
+                }
+            ]
+        });
+
+        route(server, '/articles/{id}/edit', {
+            rules: [
+                {
+                    target: {'credentials:permissions': {scope: 'articles:{params.id}:write'}},
+                    effect: 'permit'
+                }
+            ]
+        });
+    });
+
+    test('should permit when a credentials scope grants the required one', async () => {
+        expect(await request(server, '/articles/123', 'reader')).to.equal(200);
+        expect(await request(server, '/articles/123', 'author')).to.equal(401);
+        expect(await request(server, '/articles/123', 'anonymous')).to.equal(401);
+
+        expect(await request(server, '/orgs/42/admin', 'reader')).to.equal(200);
+        expect(await request(server, '/orgs/43/admin', 'reader')).to.equal(401);
+    });
+
+    test('should not let interpolated values change the scope segments', async () => {
+        expect(await request(server, '/orgs/' + encodeURIComponent('42:x') + '/admin', 'reader')).to.equal(401);
+        expect(await request(server, '/articles/*', 'reader')).to.equal(401);
+    });
+
+    test('should match scopes in target values', async () => {
+        expect(await request(server, '/articles/123/edit', 'author')).to.equal(200);
+        expect(await request(server, '/articles/124/edit', 'author')).to.equal(401);
+        expect(await request(server, '/articles/123/edit', 'reader')).to.equal(401);
+    });
+
+    test('should list routes with interpolated scopes as conditional', async () => {
+        const permissions = await server.plugins['hapi-rbac'].permissions(users.reader);
+
+        expect(permissions['/articles/{id}'].get).to.equal('conditional');
+        expect(permissions['/articles/{id}/edit'].get).to.equal('conditional');
+    });
+});
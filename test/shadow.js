@@ -0,0 +1,147 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const RbacCore = require('rbac-core');
+const {createServer, request, route} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+const beforeEach = lab.beforeEach;
+
+const expect = Code.expect;
+
+const users = {};
+
+users.admin = {
+    'username': 'admin',
+    'password': 'pwtest',
+    'group': ['admin']
+};
+
+users.reader = {
+    'username': 'reader',
+    'password': 'pwtest',
+    'group': ['reader']
+};
+
+const adminOnly = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: {'credentials:group': 'admin'},
+            effect: 'permit'
+        }
+    ]
+};
+
+const adminsAndReaders = {
+    apply: 'permit-overrides',
+    rules: [
+        {
+            target: [{'credentials:group': 'admin'}, {'credentials:group': 'reader'}],
+            effect: 'permit'
+        }
+    ]
+};
+
+// Wait for the shadow evaluations of the previous requests
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+/**
+ * Shadow policies
+ **/
+experiment('RBAC shadow policies', () => {
+
+    let server;
+    let disagreements;
+    let errors;
+
+    before(async () => {
+        server = await createServer(users, {
+            policy: adminOnly,
+            shadow: adminsAndReaders
+        });
+
+        disagreements = [];
+        errors = [];
+
+        server.events.on('rbac:shadow', (record) => disagreements.push(record));
+        server.events.on({name: 'request', channels: 'app'}, (req, event, tags) => {
+            if (tags.shadow) {
+                errors.push(event);
+            }
+        });
+
+        route(server, '/global', undefined);
+        route(server, '/route', {
+            policy: adminsAndReaders,
+            shadow: adminOnly
+        });
+        route(server, '/disabled', {
+            shadow: 'none'
+        });
+        route(server, '/sampled', {
+            shadowRate: 0
+        });
+        route(server, '/failing', {
+            shadow: () => {
+                throw new Error('Shadow store unavailable');
+            }
+        });
+    });
+
+    beforeEach(() => {
+        disagreements.length = 0;
+        errors.length = 0;
+    });
+
+    test('should emit disagreements with both traces', async () => {
+        expect(await request(server, '/global', 'reader')).to.equal(401);
+
+        // The shadow is evaluated after the response
+        expect(disagreements).to.have.length(0);
+        await settle();
+
+        expect(disagreements).to.have.length(1);
+        expect(disagreements[0].route).to.equal('/global');
+        expect(disagreements[0].enforced).to.equal('deny');
+        expect(disagreements[0].shadow).to.equal('permit');
+        expect(disagreements[0].traces.enforced.result).to.equal(RbacCore.DENY);
+        expect(disagreements[0].traces.shadow.result).to.equal(RbacCore.PERMIT);
+    });
+
+    test('should not emit agreements', async () => {
+        expect(await request(server, '/global', 'admin')).to.equal(200);
+        await settle();
+
+        expect(disagreements).to.have.length(0);
+    });
+
+    test('should use the route shadow policy', async () => {
+        expect(await request(server, '/route', 'reader')).to.equal(200);
+        await settle();
+
+        expect(disagreements[0].enforced).to.equal('permit');
+        expect(disagreements[0].shadow).to.equal('deny');
+    });
+
+    test('should not evaluate disabled or unsampled shadow policies', async () => {
+        expect(await request(server, '/disabled', 'reader')).to.equal(401);
+        expect(await request(server, '/sampled', 'reader')).to.equal(401);
+        await settle();
+
+        expect(disagreements).to.have.length(0);
+    });
+
+    test('should contain shadow errors', async () => {
+        expect(await request(server, '/failing', 'admin')).to.equal(200);
+        await settle();
+
+        expect(disagreements).to.have.length(0);
+        expect(errors).to.have.length(1);
+        expect(errors[0].error.message).to.equal('Shadow store unavailable');
+    });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const Code = require('code');
+const Lab = require('lab');
+const RbacCore = require('rbac-core');
+const {createServer} = require('./helpers/server');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+const before = lab.before;
+
+const expect = Code.expect;
+
+/**
+ * Evaluation trace attached to the request
+ **/
+experiment('RBAC evaluation trace', () => {
+
+    let server;
+    let lastTrace;
+
+    before(async () => {
+        const users = {};
+
+        users.user1 = {
+            'username': 'user1',
+            'password': 'pwtest',
+            'group': ['reader']
+        };
+
+        users.user2 = {
+            'username': 'user2',
+            'password': 'pwtest',
+            'group': ['reader'],
+            'blocked': true
+        };
+
+        server = await createServer(users, {});
+
+        server.ext('onPreResponse', (request, h) => {
+            lastTrace = request.plugins.rbac && request.plugins.rbac.trace;
+            return h.continue;
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/endpoint',
+            handler: (request, h) => h.response({result: request.plugins.rbac.trace.result}),
+            config: {
+                plugins: {
+                    rbac: {
+                        target: {'credentials:group': 'reader'},
+                        apply: 'permit-overrides',
+                        policies: [
+                            {
+                                apply: 'deny-overrides',
+                                rules: [
+                                    {
+                                        target: {'credentials:blocked': true},
+                                        effect: 'deny'
+                                    },
+                                    {
+                                        effect: 'permit'
+                                    }
+                                ]
+                            },
+                            {
+                                target: {'credentials:group': 'admin'},
+                                apply: 'permit-overrides',
+                                rules: [
+                                    {
+                                        effect: 'permit'
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        server.route({
+            method: 'GET',
+            path: '/no-policy',
+            handler: (request, h) => h.response({ok: true}),
+            config: {
+                plugins: {
+                    rbac: 'none'
+                }
+            }
+        });
+    });
+
+    test('should expose the trace of a permitted request to the handler', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/endpoint',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.result.result).to.equal(RbacCore.PERMIT);
+
+        expect(lastTrace.type).to.equal('policySet');
+        expect(lastTrace.path).to.equal('');
+        expect(lastTrace.target.matched).to.be.true();
+        expect(lastTrace.target.elements[0].keys).to.equal([{
+            key: 'credentials:group',
+            expected: 'reader',
+            value: ['reader'],
+            matched: true
+        }]);
+
+        expect(lastTrace.children).to.have.length(2);
+        expect(lastTrace.children[0].type).to.equal('policy');
+        expect(lastTrace.children[0].result).to.equal(RbacCore.PERMIT);
+        expect(lastTrace.children[0].children[0].path).to.equal('policies[0].rules[0]');
+        expect(lastTrace.children[0].children[0].result).to.equal(RbacCore.UNDETERMINED);
+        expect(lastTrace.children[0].children[1].result).to.equal(RbacCore.PERMIT);
+
+        // Policy whose target did not match is visited, but its rules are not
+        expect(lastTrace.children[1].target.matched).to.be.false();
+        expect(lastTrace.children[1].result).to.equal(RbacCore.UNDETERMINED);
+        expect(lastTrace.children[1].children).to.not.exist();
+    });
+
+    test('should expose the rule which produced a denial', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/endpoint',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user2:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(401);
+        expect(lastTrace.result).to.equal(RbacCore.DENY);
+
+        const rule = lastTrace.children[0].children[0];
+        expect(rule.type).to.equal('rule');
+        expect(rule.effect).to.equal('deny');
+        expect(rule.result).to.equal(RbacCore.DENY);
+        expect(rule.target.elements[0].keys[0]).to.equal({
+            key: 'credentials:blocked',
+            expected: true,
+            value: true,
+            matched: true
+        });
+    });
+
+    test('should not attach a trace when no policy is evaluated', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/no-policy',
+            headers: {
+                authorization: 'Basic ' + (new Buffer('user1:pwtest', 'utf8')).toString('base64')
+            }
+        });
+
+        expect(response.statusCode).to.equal(200);
+        expect(lastTrace).to.not.exist();
+    });
+});